@@ -8,14 +8,29 @@ module.exports = {
     // Load base classes and services
     autoload: [
         'src/services',
+        'src/models',
+        'src/repositories',
         'src/subscribers',
-        'src/middleware'
+        'src/middleware',
+        'src/commands',
+        'src/jobs',
+    ],
+
+    // Database migration directories (modules can have their own 'migrations' list in module config)
+    migrations: [
+        'database/migrations',
+    ],
+
+    // Database seed directories (modules can have their own 'seeds' list in module config)
+    seeds: [
+        'database/seeds',
     ],
 
     // Middleware, in this order
     middleware: [
         'middleware.favicon',
         'middleware.requestLogger',
+        'middleware.scope',
         'middleware.requestParser',
         'middleware.staticFiles',
         'middleware.routes',
@@ -0,0 +1,28 @@
+/**
+ * Notify workers about new pending jobs
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE OR REPLACE FUNCTION notify_jobs_pending() RETURNS trigger AS $$ ' +
+        'BEGIN ' +
+        "    IF NEW.status = 'pending' THEN " +
+        "        PERFORM pg_notify('jobs_pending', '{ \"id\": ' || NEW.id || ' }'); " +
+        '    END IF; ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+    ],
+
+    down: [
+        'DROP TRIGGER IF EXISTS notify_jobs_pending ON jobs',
+        'DROP FUNCTION IF EXISTS notify_jobs_pending()',
+    ],
+};
@@ -0,0 +1,56 @@
+/**
+ * Job retries and the 'dead' job status
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        "CREATE TYPE job_status AS ENUM ('pending', 'running', 'expired', 'failure', 'success', 'dead')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+
+        'ALTER TABLE jobs ' +
+        '    ADD COLUMN attempts int NOT NULL DEFAULT 0, ' +
+        '    ADD COLUMN max_attempts int NULL, ' +
+        '    ADD COLUMN next_attempt_at timestamp NULL',
+    ],
+
+    down: [
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN attempts, ' +
+        '    DROP COLUMN max_attempts, ' +
+        '    DROP COLUMN next_attempt_at',
+
+        "UPDATE jobs SET status = 'failure' WHERE status = 'dead'",
+
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        "CREATE TYPE job_status AS ENUM ('pending', 'running', 'expired', 'failure', 'success')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+    ],
+};
@@ -0,0 +1,75 @@
+/**
+ * Recurring job schedules
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE TABLE job_schedules ( ' +
+        '    id bigserial NOT NULL, ' +
+        '    name varchar(255) NOT NULL, ' +
+        '    cron varchar(255) NOT NULL, ' +
+        '    timezone varchar(255) NULL, ' +
+        '    queue varchar(255) NULL, ' +
+        '    script varchar(255) NOT NULL, ' +
+        '    input jsonb NOT NULL, ' +
+        '    target varchar(255) NULL, ' +
+        '    max_attempts int NULL, ' +
+        '    paused boolean NOT NULL DEFAULT false, ' +
+        '    last_run_at timestamp NULL, ' +
+        '    next_run_at timestamp NULL, ' +
+        '    created_at timestamp NOT NULL, ' +
+        '    CONSTRAINT job_schedules_pk PRIMARY KEY(id), ' +
+        '    CONSTRAINT job_schedules_unique_name UNIQUE (name) ' +
+        ')',
+
+        'CREATE OR REPLACE FUNCTION invalidate_job_schedules_cache() RETURNS trigger AS $$ ' +
+        'DECLARE ' +
+        '    cache_keys text[] := array[]::text[]; ' +
+        'BEGIN ' +
+        "    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'job_schedules-by-id:' || NEW.id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        "    IF TG_OP = 'DELETE' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'job_schedules-by-id:' || OLD.id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        '    PERFORM invalidate_cache(cache_keys); ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+
+        'CREATE TRIGGER invalidate_cache ' +
+        '    AFTER INSERT OR UPDATE OR DELETE ' +
+        '    ON job_schedules ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE invalidate_job_schedules_cache()',
+
+        'ALTER TABLE jobs ' +
+        '    ADD COLUMN schedule_id bigint NULL, ' +
+        '    ADD COLUMN scheduled_for timestamp NULL, ' +
+        '    ADD CONSTRAINT jobs_schedule_fk FOREIGN KEY(schedule_id) ' +
+        '        REFERENCES job_schedules(id) ' +
+        '        ON DELETE SET NULL ON UPDATE CASCADE, ' +
+        '    ADD CONSTRAINT jobs_unique_occurrence UNIQUE (schedule_id, scheduled_for)',
+    ],
+
+    down: [
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN schedule_id, ' +
+        '    DROP COLUMN scheduled_for',
+
+        'DROP TABLE IF EXISTS job_schedules CASCADE',
+
+        'DROP FUNCTION IF EXISTS invalidate_job_schedules_cache()',
+    ],
+};
@@ -0,0 +1,20 @@
+/**
+ * Heartbeat of running jobs
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'ALTER TABLE jobs ' +
+        '    ADD COLUMN heartbeat_at timestamp NULL',
+
+        "CREATE INDEX jobs_running_heartbeat_idx ON jobs(heartbeat_at) WHERE status = 'running'",
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS jobs_running_heartbeat_idx',
+
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN heartbeat_at',
+    ],
+};
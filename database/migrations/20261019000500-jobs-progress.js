@@ -0,0 +1,64 @@
+/**
+ * Job progress and cancellation
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'DROP INDEX jobs_running_heartbeat_idx',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        "CREATE TYPE job_status AS ENUM ('pending', 'running', 'expired', 'failure', 'success', 'dead', 'cancelled')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+
+        "CREATE INDEX jobs_running_heartbeat_idx ON jobs(heartbeat_at) WHERE status = 'running'",
+
+        'ALTER TABLE jobs ' +
+        '    ADD COLUMN progress int NULL, ' +
+        '    ADD COLUMN progress_message varchar(255) NULL, ' +
+        '    ADD COLUMN cancelling boolean NOT NULL DEFAULT false',
+    ],
+
+    down: [
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN progress, ' +
+        '    DROP COLUMN progress_message, ' +
+        '    DROP COLUMN cancelling',
+
+        "UPDATE jobs SET status = 'failure' WHERE status = 'cancelled'",
+
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'DROP INDEX jobs_running_heartbeat_idx',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        "CREATE TYPE job_status AS ENUM ('pending', 'running', 'expired', 'failure', 'success', 'dead')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+
+        "CREATE INDEX jobs_running_heartbeat_idx ON jobs(heartbeat_at) WHERE status = 'running'",
+    ],
+};
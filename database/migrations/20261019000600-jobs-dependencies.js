@@ -0,0 +1,71 @@
+/**
+ * Job dependencies
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'DROP INDEX jobs_running_heartbeat_idx',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        'CREATE TYPE job_status AS ENUM ' +
+        "    ('pending', 'running', 'expired', 'failure', 'success', 'dead', 'cancelled', 'skipped')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+
+        "CREATE INDEX jobs_running_heartbeat_idx ON jobs(heartbeat_at) WHERE status = 'running'",
+
+        "CREATE TYPE job_parent_failure AS ENUM ('cancel', 'skip', 'continue')",
+
+        'ALTER TABLE jobs ' +
+        "    ADD COLUMN depends_on bigint[] NOT NULL DEFAULT '{}', " +
+        "    ADD COLUMN on_parent_failure job_parent_failure NOT NULL DEFAULT 'cancel'",
+
+        'CREATE INDEX jobs_depends_on_idx ON jobs USING gin(depends_on)',
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS jobs_depends_on_idx',
+
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN depends_on, ' +
+        '    DROP COLUMN on_parent_failure',
+
+        'DROP TYPE job_parent_failure',
+
+        "UPDATE jobs SET status = 'cancelled' WHERE status = 'skipped'",
+
+        'DROP TRIGGER notify_jobs_pending ON jobs',
+
+        'DROP INDEX jobs_running_heartbeat_idx',
+
+        'ALTER TYPE job_status RENAME TO job_status_old',
+
+        "CREATE TYPE job_status AS ENUM ('pending', 'running', 'expired', 'failure', 'success', 'dead', 'cancelled')",
+
+        'ALTER TABLE jobs ' +
+        '    ALTER COLUMN status TYPE job_status USING status::text::job_status',
+
+        'DROP TYPE job_status_old',
+
+        'CREATE TRIGGER notify_jobs_pending ' +
+        '    AFTER INSERT OR UPDATE OF status ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_pending()',
+
+        "CREATE INDEX jobs_running_heartbeat_idx ON jobs(heartbeat_at) WHERE status = 'running'",
+    ],
+};
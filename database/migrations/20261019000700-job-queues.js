@@ -0,0 +1,31 @@
+/**
+ * Job priorities and queue limits
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'ALTER TABLE jobs ' +
+        '    ADD COLUMN priority int NOT NULL DEFAULT 0',
+
+        'CREATE INDEX jobs_priority_idx ON jobs(priority DESC, created_at ASC)',
+
+        'CREATE TABLE job_queues ( ' +
+        '    name varchar(255) NOT NULL, ' +
+        '    concurrency int NOT NULL DEFAULT 1, ' +
+        '    target_concurrency int NULL, ' +
+        '    CONSTRAINT job_queues_pk PRIMARY KEY(name), ' +
+        '    CONSTRAINT job_queues_concurrency_check CHECK (concurrency > 0), ' +
+        '    CONSTRAINT job_queues_target_concurrency_check CHECK (target_concurrency > 0) ' +
+        ')',
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS job_queues CASCADE',
+
+        'DROP INDEX IF EXISTS jobs_priority_idx',
+
+        'ALTER TABLE jobs ' +
+        '    DROP COLUMN priority',
+    ],
+};
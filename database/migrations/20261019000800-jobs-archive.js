@@ -0,0 +1,30 @@
+/**
+ * Archive of finished jobs
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE TABLE jobs_archive ( ' +
+        '    id bigint NOT NULL, ' +
+        '    status varchar(255) NOT NULL, ' +
+        '    queue varchar(255) NULL, ' +
+        '    script varchar(255) NOT NULL, ' +
+        '    created_at timestamp NOT NULL, ' +
+        '    finished_at timestamp NULL, ' +
+        '    archived_at timestamp NOT NULL, ' +
+        '    data jsonb NOT NULL, ' +
+        '    CONSTRAINT jobs_archive_pk PRIMARY KEY(id) ' +
+        ')',
+
+        'CREATE INDEX jobs_archive_script_idx ON jobs_archive(script, finished_at)',
+
+        'CREATE INDEX jobs_finished_at_idx ON jobs(script, finished_at)',
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS jobs_finished_at_idx',
+
+        'DROP TABLE IF EXISTS jobs_archive CASCADE',
+    ],
+};
@@ -0,0 +1,60 @@
+/**
+ * Publish job lifecycle events
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE OR REPLACE FUNCTION notify_jobs_event() RETURNS trigger AS $$ ' +
+        'DECLARE ' +
+        '    event_type text; ' +
+        'BEGIN ' +
+        "    IF TG_OP = 'INSERT' THEN " +
+        "        event_type = 'created'; " +
+        '    ELSIF NEW.status IS DISTINCT FROM OLD.status THEN ' +
+        '        event_type = CASE NEW.status ' +
+        "            WHEN 'running' THEN 'started' " +
+        "            WHEN 'success' THEN 'succeeded' " +
+        "            WHEN 'failure' THEN 'failed' " +
+        "            WHEN 'dead' THEN 'failed' " +
+        "            WHEN 'expired' THEN 'expired' " +
+        "            WHEN 'cancelled' THEN 'cancelled' " +
+        "            WHEN 'skipped' THEN 'skipped' " +
+        "            WHEN 'pending' THEN CASE WHEN NEW.next_attempt_at IS NULL THEN 'requeued' ELSE 'retrying' END " +
+        '        END; ' +
+        '    ELSIF NEW.progress IS DISTINCT FROM OLD.progress ' +
+        '       OR NEW.progress_message IS DISTINCT FROM OLD.progress_message THEN ' +
+        "        event_type = 'progress'; " +
+        '    END IF; ' +
+        '    IF event_type IS NOT NULL THEN ' +
+        "        PERFORM pg_notify('jobs', json_build_object( " +
+        "            'type', event_type, " +
+        "            'id', NEW.id, " +
+        "            'script', NEW.script, " +
+        "            'queue', NEW.queue, " +
+        "            'status', NEW.status, " +
+        "            'previousStatus', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.status END, " +
+        "            'instance', CASE WHEN TG_OP = 'INSERT' THEN NEW.created_by ELSE NEW.started_by END, " +
+        "            'attempts', NEW.attempts, " +
+        "            'progress', NEW.progress, " +
+        "            'message', NEW.progress_message, " +
+        "            'duration', round(extract(epoch FROM NEW.finished_at - NEW.started_at) * 1000), " +
+        "            'nextAttemptAt', round(extract(epoch FROM NEW.next_attempt_at) * 1000) " +
+        '        )::text); ' +
+        '    END IF; ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+
+        'CREATE TRIGGER notify_jobs_event ' +
+        '    AFTER INSERT OR UPDATE OF status, progress, progress_message ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE notify_jobs_event()',
+    ],
+
+    down: [
+        'DROP TRIGGER IF EXISTS notify_jobs_event ON jobs',
+        'DROP FUNCTION IF EXISTS notify_jobs_event()',
+    ],
+};
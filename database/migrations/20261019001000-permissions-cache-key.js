@@ -0,0 +1,64 @@
+/**
+ * Fix the key of deleted or updated permission in invalidate_permissions_cache()
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE OR REPLACE FUNCTION invalidate_permissions_cache() RETURNS trigger AS $$ ' +
+        'DECLARE ' +
+        '    cache_keys text[] := array[]::text[]; ' +
+        'BEGIN ' +
+        "    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'permissions-by-id:' || NEW.id, " +
+        "                'permissions-by-role-id:' || NEW.role_id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        "    IF TG_OP = 'DELETE' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'permissions-by-id:' || OLD.id, " +
+        "                'permissions-by-role-id:' || OLD.role_id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        '    PERFORM invalidate_cache(cache_keys); ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+    ],
+
+    down: [
+        'CREATE OR REPLACE FUNCTION invalidate_permissions_cache() RETURNS trigger AS $$ ' +
+        'DECLARE ' +
+        '    cache_keys text[] := array[]::text[]; ' +
+        'BEGIN ' +
+        "    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'permissions-by-id:' || NEW.id, " +
+        "                'permissions-by-role-id:' || NEW.role_id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        "    IF TG_OP = 'DELETE' OR TG_OP = 'UPDATE' THEN " +
+        '        cache_keys = array_cat( ' +
+        '            cache_keys, ' +
+        '            array[ ' +
+        "                'permissions-by-id-id:' || OLD.id, " +
+        "                'permissions-by-role-id:' || OLD.role_id " +
+        '            ] ' +
+        '        ); ' +
+        '    END IF; ' +
+        '    PERFORM invalidate_cache(cache_keys); ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+    ],
+};
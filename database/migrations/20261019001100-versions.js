@@ -0,0 +1,50 @@
+/**
+ * Record versions of users, roles and jobs for optimistic locking
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'ALTER TABLE users ADD COLUMN version integer NOT NULL DEFAULT 1',
+        'ALTER TABLE roles ADD COLUMN version integer NOT NULL DEFAULT 1',
+        'ALTER TABLE jobs ADD COLUMN version integer NOT NULL DEFAULT 1',
+
+        'CREATE OR REPLACE FUNCTION increment_version() RETURNS trigger AS $$ ' +
+        'BEGIN ' +
+        '    IF NEW.version = OLD.version THEN ' +
+        '        NEW.version = OLD.version + 1; ' +
+        '    END IF; ' +
+        '    RETURN NEW; ' +
+        'END; ' +
+        '$$ LANGUAGE plpgsql',
+
+        'CREATE TRIGGER increment_users_version ' +
+        '    BEFORE UPDATE ' +
+        '    ON users ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE increment_version()',
+
+        'CREATE TRIGGER increment_roles_version ' +
+        '    BEFORE UPDATE ' +
+        '    ON roles ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE increment_version()',
+
+        'CREATE TRIGGER increment_jobs_version ' +
+        '    BEFORE UPDATE ' +
+        '    ON jobs ' +
+        '    FOR EACH ROW ' +
+        '    EXECUTE PROCEDURE increment_version()',
+    ],
+
+    down: [
+        'DROP TRIGGER IF EXISTS increment_jobs_version ON jobs',
+        'DROP TRIGGER IF EXISTS increment_roles_version ON roles',
+        'DROP TRIGGER IF EXISTS increment_users_version ON users',
+        'DROP FUNCTION IF EXISTS increment_version()',
+
+        'ALTER TABLE jobs DROP COLUMN IF EXISTS version',
+        'ALTER TABLE roles DROP COLUMN IF EXISTS version',
+        'ALTER TABLE users DROP COLUMN IF EXISTS version',
+    ],
+};
@@ -0,0 +1,53 @@
+/**
+ * Soft delete of users and jobs
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'DROP VIEW IF EXISTS users_search',
+
+        'ALTER TABLE users ADD COLUMN deleted_at timestamp NULL',
+        'ALTER TABLE jobs ADD COLUMN deleted_at timestamp NULL',
+
+        'ALTER TABLE users DROP CONSTRAINT users_unique_email',
+        'CREATE UNIQUE INDEX users_unique_email ON users(email) WHERE deleted_at IS NULL',
+
+        'CREATE VIEW users_search AS ' +
+        '    SELECT u.*, ' +
+        "           string_agg(DISTINCT r.name, ', ' ORDER BY r.name) AS roles, " +
+        '           (SELECT count(s.*) ' +
+        '              FROM sessions s ' +
+        '             WHERE s.user_id = u.id) AS sessions ' +
+        '      FROM users u ' +
+        ' LEFT JOIN user_roles ur ' +
+        '        ON ur.user_id = u.id ' +
+        ' LEFT JOIN roles r ' +
+        '        ON r.id = ur.role_id ' +
+        '  GROUP BY u.id',
+    ],
+
+    down: [
+        'DROP VIEW IF EXISTS users_search',
+
+        'DROP INDEX IF EXISTS users_unique_email',
+        'DELETE FROM users WHERE deleted_at IS NOT NULL',
+        'ALTER TABLE users ADD CONSTRAINT users_unique_email UNIQUE (email)',
+
+        'ALTER TABLE jobs DROP COLUMN IF EXISTS deleted_at',
+        'ALTER TABLE users DROP COLUMN IF EXISTS deleted_at',
+
+        'CREATE VIEW users_search AS ' +
+        '    SELECT u.*, ' +
+        "           string_agg(DISTINCT r.name, ', ' ORDER BY r.name) AS roles, " +
+        '           (SELECT count(s.*) ' +
+        '              FROM sessions s ' +
+        '             WHERE s.user_id = u.id) AS sessions ' +
+        '      FROM users u ' +
+        ' LEFT JOIN user_roles ur ' +
+        '        ON ur.user_id = u.id ' +
+        ' LEFT JOIN roles r ' +
+        '        ON r.id = ur.role_id ' +
+        '  GROUP BY u.id',
+    ],
+};
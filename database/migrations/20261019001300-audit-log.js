@@ -0,0 +1,30 @@
+/**
+ * Audit log of data changes
+ */
+'use strict';
+
+module.exports = {
+    up: [
+        'CREATE TABLE audit_log ( ' +
+        '    id bigserial NOT NULL, ' +
+        '    table_name varchar(255) NOT NULL, ' +
+        '    row_id bigint NOT NULL, ' +
+        '    action varchar(255) NOT NULL, ' +
+        '    changes jsonb NOT NULL, ' +
+        '    user_id bigint NULL, ' +
+        '    instance varchar(255) NOT NULL, ' +
+        '    correlation_id varchar(255) NULL, ' +
+        '    created_at timestamp NOT NULL, ' +
+        '    CONSTRAINT audit_log_pk PRIMARY KEY(id) ' +
+        ')',
+
+        'CREATE INDEX audit_log_row_idx ON audit_log(table_name, row_id)',
+        'CREATE INDEX audit_log_user_id_idx ON audit_log(user_id)',
+        'CREATE INDEX audit_log_correlation_id_idx ON audit_log(correlation_id)',
+        'CREATE INDEX audit_log_created_at_idx ON audit_log(created_at)',
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS audit_log CASCADE',
+    ],
+};
@@ -0,0 +1,20 @@
+/**
+ * Default roles, permissions and the administrator account
+ */
+'use strict';
+
+module.exports = {
+    roles: [
+        { name: 'Anonymous', parent: null },
+        { name: 'Authenticated', parent: null },
+        { name: 'Administrator', parent: 'Authenticated' },
+    ],
+
+    permissions: [
+        { role: 'Administrator', resource: null, action: null },  // everything is allowed
+    ],
+
+    users: [
+        { name: 'Administrator', email: 'admin@localhost', password: null, roles: [ 'Administrator' ] },
+    ],
+};
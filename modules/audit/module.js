@@ -0,0 +1,54 @@
+/**
+ * Audit module
+ * @module audit/module
+ */
+
+
+/**
+ * Module main class
+ */
+class Audit {
+    /**
+     * Create the module
+     * @param {App} app             The application
+     */
+    constructor(app) {
+        this._app = app;
+    }
+
+    /**
+     * Service name is 'modules.audit'
+     * @type {string}
+     */
+    static get provides() {
+        return 'modules.audit';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app' ];
+    }
+
+    /**
+     * Bootstrap the module
+     * @return {Promise}
+     */
+    bootstrap() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Register the routes
+     * @param {object} express              Express app
+     * @return {Promise}
+     */
+    routes(express) {
+        express.use('/api/audit', this._app.get('modules.audit.routes.audit').router);
+        return Promise.resolve();
+    }
+}
+
+module.exports = Audit;
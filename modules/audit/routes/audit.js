@@ -0,0 +1,155 @@
+/**
+ * Audit log API route
+ * @module audit/routes/audit
+ */
+const express = require('express');
+const moment = require('moment-timezone');
+
+/**
+ * Audit log API route class<br>
+ * <pre>
+ * JSON API, dates are numbers of milliseconds since Epoch, errors are sent as ErrorHelper.body(). Clients
+ * authenticate with HTTP Basic credentials (see Auth), access requires 'read' permission on 'audit' resource (see
+ * Acl):
+ *
+ * GET /api/audit                   search the log (query: table, row_id, action, user_id, instance, correlation_id,
+ *                                  since, until, sort, order, page, limit)
+ * </pre>
+ */
+class AuditRoute {
+    /**
+     * Create service
+     * @param {App} app                         The application
+     * @param {ErrorHelper} error               Error helper service
+     * @param {ApiHelper} api                   API helper service
+     * @param {Auth} auth                       Auth service
+     * @param {AuditLogRepository} auditLogRepo Audit log repository
+     */
+    constructor(app, error, api, auth, auditLogRepo) {
+        this._app = app;
+        this._error = error;
+        this._api = api;
+        this._auth = auth;
+        this._auditLogRepo = auditLogRepo;
+
+        this.router = express.Router();
+        this.router.use((req, res, next) => {
+            res.locals.json = true;
+            next();
+        });
+        this.router.use(this._auth.authenticate());
+        this.router.get('/', this.search.bind(this));
+    }
+
+    /**
+     * Service name is 'modules.audit.routes.audit'
+     * @type {string}
+     */
+    static get provides() {
+        return 'modules.audit.routes.audit';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'error', 'api', 'auth', 'repositories.auditLog' ];
+    }
+
+    /**
+     * Fields the search can be sorted by
+     * @type {string[]}
+     */
+    static get sortKeys() {
+        return [ 'id', 'table_name', 'row_id', 'user_id', 'created_at' ];
+    }
+
+    /**
+     * Default number of entries per page
+     * @type {number}
+     */
+    static get pageSize() {
+        return 50;
+    }
+
+    /**
+     * Maximum number of entries per page
+     * @type {number}
+     */
+    static get maxPageSize() {
+        return 500;
+    }
+
+    /**
+     * Search the log
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    search(req, res, next) {
+        let actions = this._app.get('models.auditLog').constructor.actions;
+        let where = [], params = [], fields = {};
+
+        if (req.query.action) {
+            let action = String(req.query.action).split(',');
+            if (action.some(item => actions.indexOf(item) == -1)) {
+                fields.action = [ 'Invalid action' ];
+            } else {
+                params.push(action);
+                where.push(`action = ANY($${params.length})`);
+            }
+        }
+        for (let [ param, column ] of [ [ 'table', 'table_name' ], [ 'instance', 'instance' ] ]) {
+            if (req.query[param]) {
+                params.push(String(req.query[param]));
+                where.push(`${column} = $${params.length}`);
+            }
+        }
+        if (req.query.correlation_id) {
+            params.push(String(req.query.correlation_id));
+            where.push(`correlation_id = $${params.length}`);
+        }
+        for (let field of [ 'row_id', 'user_id' ]) {
+            let value = this._api.parseInteger(req.query[field], null);
+            if (value !== null) {
+                params.push(value);
+                where.push(`${field} = $${params.length}`);
+            } else if (typeof req.query[field] != 'undefined' && req.query[field] !== '') {
+                fields[field] = [ 'Should be an integer' ];
+            }
+        }
+        for (let [ param, operator ] of [ [ 'since', '>=' ], [ 'until', '<' ] ]) {
+            if (typeof req.query[param] == 'undefined' || req.query[param] === '')
+                continue;
+
+            let value = /^\d+$/.test(req.query[param]) ?
+                moment(parseInt(req.query[param], 10)) :
+                moment(String(req.query[param]), moment.ISO_8601);
+            if (!value.isValid()) {
+                fields[param] = [ 'Invalid date' ];
+            } else {
+                params.push(value);
+                where.push(`created_at ${operator} $${params.length}`);
+            }
+        }
+
+        let paging = this._api.parseSearch(req.query, this.constructor, fields);
+
+        this._api.authorize(req, res, 'audit', 'read')
+            .then(() => {
+                if (Object.keys(fields).length)
+                    throw this._error.newBadRequest('Invalid search parameters', fields);
+
+                return this._auditLogRepo.search(Object.assign({ where: where, params: params }, paging));
+            })
+            .then(result => {
+                res.json(result);
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+}
+
+module.exports = AuditRoute;
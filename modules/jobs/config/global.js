@@ -0,0 +1,10 @@
+/**
+ * Default module configuration
+ */
+module.exports = {
+    // Load module classes and services
+    autoload: [
+        'module.js',
+        'routes',
+    ],
+};
@@ -0,0 +1,54 @@
+/**
+ * Jobs module
+ * @module jobs/module
+ */
+
+
+/**
+ * Module main class
+ */
+class Jobs {
+    /**
+     * Create the module
+     * @param {App} app             The application
+     */
+    constructor(app) {
+        this._app = app;
+    }
+
+    /**
+     * Service name is 'modules.jobs'
+     * @type {string}
+     */
+    static get provides() {
+        return 'modules.jobs';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app' ];
+    }
+
+    /**
+     * Bootstrap the module
+     * @return {Promise}
+     */
+    bootstrap() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Register the routes
+     * @param {object} express              Express app
+     * @return {Promise}
+     */
+    routes(express) {
+        express.use('/api/jobs', this._app.get('modules.jobs.routes.jobs').router);
+        return Promise.resolve();
+    }
+}
+
+module.exports = Jobs;
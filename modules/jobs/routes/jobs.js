@@ -0,0 +1,304 @@
+/**
+ * Jobs API route
+ * @module jobs/routes/jobs
+ */
+const express = require('express');
+const moment = require('moment-timezone');
+
+/**
+ * Jobs API route class<br>
+ * <pre>
+ * JSON API, dates are numbers of milliseconds since Epoch, errors are sent as ErrorHelper.body(). Clients
+ * authenticate with HTTP Basic credentials (see Auth), access requires permission on 'jobs' resource for the action
+ * (see Acl):
+ *
+ * GET /api/jobs                    'read'      search jobs (query: status, script, queue, sort, order, page, limit)
+ * POST /api/jobs                   'create'    enqueue a job (body: script, input, queue, target, priority,
+ *                                              max_attempts, schedule_start, schedule_end, depends_on,
+ *                                              on_parent_failure)
+ * GET /api/jobs/:id                'read'      status, input and output of a job
+ * POST /api/jobs/:id/cancel        'cancel'    cancel pending or running job
+ * POST /api/jobs/:id/retry         'retry'     run failed, dead or cancelled job again
+ * </pre>
+ */
+class JobsRoute {
+    /**
+     * Create service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {ErrorHelper} error       Error helper service
+     * @param {ApiHelper} api           API helper service
+     * @param {Auth} auth               Auth service
+     * @param {JobRepository} jobRepo   Job repository
+     */
+    constructor(app, config, error, api, auth, jobRepo) {
+        this._app = app;
+        this._config = config;
+        this._error = error;
+        this._api = api;
+        this._auth = auth;
+        this._jobRepo = jobRepo;
+
+        this.router = express.Router();
+        this.router.use((req, res, next) => {
+            res.locals.json = true;
+            next();
+        });
+        this.router.use(this._auth.authenticate());
+        this.router.get('/', this.search.bind(this));
+        this.router.post('/', this.create.bind(this));
+        this.router.get('/:id(\\d+)', this.show.bind(this));
+        this.router.post('/:id(\\d+)/cancel', this.cancel.bind(this));
+        this.router.post('/:id(\\d+)/retry', this.retry.bind(this));
+    }
+
+    /**
+     * Service name is 'modules.jobs.routes.jobs'
+     * @type {string}
+     */
+    static get provides() {
+        return 'modules.jobs.routes.jobs';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'error', 'api', 'auth', 'repositories.job' ];
+    }
+
+    /**
+     * Fields the search can be sorted by
+     * @type {string[]}
+     */
+    static get sortKeys() {
+        return [ 'id', 'status', 'queue', 'script', 'priority', 'created_at', 'started_at', 'finished_at' ];
+    }
+
+    /**
+     * Default number of jobs per page
+     * @type {number}
+     */
+    static get pageSize() {
+        return 20;
+    }
+
+    /**
+     * Maximum number of jobs per page
+     * @type {number}
+     */
+    static get maxPageSize() {
+        return 100;
+    }
+
+    /**
+     * Statuses of the jobs which can be retried
+     * @type {string[]}
+     */
+    static get retryStatuses() {
+        return [ 'failure', 'dead', 'cancelled' ];
+    }
+
+    /**
+     * Search jobs
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    search(req, res, next) {
+        let statuses = this._app.get('models.job').constructor.statuses;
+        let where = [], params = [], fields = {};
+
+        if (req.query.status) {
+            let status = String(req.query.status).split(',');
+            if (status.some(item => statuses.indexOf(item) == -1)) {
+                fields.status = [ 'Invalid status' ];
+            } else {
+                params.push(status);
+                where.push(`status::text = ANY($${params.length})`);
+            }
+        }
+        for (let field of [ 'script', 'queue' ]) {
+            if (req.query[field]) {
+                params.push(String(req.query[field]));
+                where.push(`${field} = $${params.length}`);
+            }
+        }
+
+        let paging = this._api.parseSearch(req.query, this.constructor, fields);
+
+        this._api.authorize(req, res, 'jobs', 'read')
+            .then(() => {
+                if (Object.keys(fields).length)
+                    throw this._error.newBadRequest('Invalid search parameters', fields);
+
+                return this._jobRepo.search(Object.assign({ where: where, params: params }, paging));
+            })
+            .then(result => {
+                res.json(result);
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+
+    /**
+     * Enqueue a job
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    create(req, res, next) {
+        this._api.authorize(req, res, 'jobs', 'create')
+            .then(() => {
+                let job = this._app.get('models.job');
+                let body = req.body || {};
+                let fields = {};
+                let addError = (field, message) => {
+                    if (!fields[field])
+                        fields[field] = [];
+                    fields[field].push(message);
+                };
+
+                if (typeof body.input != 'undefined' &&
+                    (body.input === null || typeof body.input != 'object' || Array.isArray(body.input)))
+                    addError('input', 'Input should be an object');
+                for (let field of [ 'queue', 'target' ]) {
+                    if (typeof body[field] != 'undefined' && body[field] !== null &&
+                        (typeof body[field] != 'string' || !body[field].length))
+                        addError(field, `${field[0].toUpperCase() + field.slice(1)} should be a string`);
+                }
+
+                let dates = {};
+                for (let field of [ 'schedule_start', 'schedule_end' ]) {
+                    dates[field] = null;
+                    if (typeof body[field] == 'undefined' || body[field] === null)
+                        continue;
+
+                    if (typeof body[field] == 'number')
+                        dates[field] = moment(body[field]);
+                    else if (typeof body[field] == 'string')
+                        dates[field] = moment(body[field], moment.ISO_8601);
+                    if (!dates[field] || !dates[field].isValid())
+                        addError(field, 'Invalid date');
+                }
+
+                if (typeof body.depends_on != 'undefined' &&
+                    (!Array.isArray(body.depends_on) || body.depends_on.some(id => !Number.isInteger(id))))
+                    addError('depends_on', 'Parents should be an array of job IDs');
+
+                job.status = 'pending';
+                job.queue = body.queue || null;
+                job.script = body.script;
+                job.input = body.input || {};
+                job.output = {};
+                job.target = body.target || null;
+                job.scheduleStart = dates.schedule_start;
+                job.scheduleEnd = dates.schedule_end;
+                job.createdAt = moment();
+                job.createdBy = this._config.instance;
+                job.attempts = 0;
+                if (typeof body.max_attempts != 'undefined')
+                    job.maxAttempts = body.max_attempts;
+                job.cancelling = false;
+                if (typeof body.priority != 'undefined')
+                    job.priority = body.priority;
+                job.dependsOn = body.depends_on || [];
+                if (typeof body.on_parent_failure != 'undefined')
+                    job.onParentFailure = body.on_parent_failure;
+
+                let errors = job.validate() || {};
+                for (let field of Object.keys(errors)) {
+                    if (!fields[field])
+                        fields[field] = errors[field];
+                }
+                if (Object.keys(fields).length)
+                    throw this._error.newBadRequest('Invalid job', fields);
+
+                return req.scope.get('repositories.job').save(job); // audited as created by the user
+            })
+            .then(id => {
+                res.status(201).location(`${req.baseUrl}/${id}`).json({ id: id });
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+
+    /**
+     * Job status, input and output
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    show(req, res, next) {
+        this._api.authorize(req, res, 'jobs', 'read')
+            .then(() => {
+                return this._jobRepo.find(parseInt(req.params.id, 10));
+            })
+            .then(jobs => {
+                if (!jobs.length)
+                    throw this._error.newNotFound('Job not found');
+
+                res.json(this._api.serialize(jobs[0], 'api'));
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+
+    /**
+     * Cancel a job
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    cancel(req, res, next) {
+        let id = parseInt(req.params.id, 10);
+        this._api.authorize(req, res, 'jobs', 'cancel')
+            .then(() => {
+                return req.scope.get('repositories.job').cancel(id); // audited as cancelled by the user
+            })
+            .then(result => {
+                if (!result)
+                    throw this._error.newNotFound('Pending or running job not found');
+
+                res.json({ id: id, status: result });
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+
+    /**
+     * Run a job again
+     * @param {object} req          Express request
+     * @param {object} res          Express response
+     * @param {function} next       Express next middleware function
+     */
+    retry(req, res, next) {
+        let id = parseInt(req.params.id, 10);
+        this._api.authorize(req, res, 'jobs', 'retry')
+            .then(() => {
+                return req.scope.get('repositories.job').requeue(id, this.constructor.retryStatuses); // audited as requeued by the user
+            })
+            .then(count => {
+                if (count)
+                    return res.json({ id: id, status: 'pending' });
+
+                return this._jobRepo.find(id)
+                    .then(jobs => {
+                        if (!jobs.length)
+                            throw this._error.newNotFound('Job not found');
+
+                        throw this._error.newBadRequest(`Job is ${jobs[0].status}, it can not be retried`);
+                    });
+            })
+            .catch(error => {
+                next(error);
+            });
+    }
+}
+
+module.exports = JobsRoute;
@@ -16,6 +16,135 @@ class AppLogger {
     error(...args) {
         console.error(...args);
     }
+
+    info(...args) {
+        console.log(...args);
+    }
+}
+
+/**
+ * Call dispose() (or done() if there is no dispose()) of every object in the list sequentially
+ * @param {object[]} instances          Objects to dispose
+ * @return {Promise}                    Rejects with the first error after all the objects are processed
+ */
+function disposeAll(instances) {
+    let errors = [];
+    return instances.reduce(
+            (prev, cur) => {
+                return prev.then(() => {
+                    let method;
+                    if (typeof cur.dispose == 'function')
+                        method = 'dispose';
+                    else if (typeof cur.done == 'function')
+                        method = 'done';
+                    else
+                        return;
+
+                    return Promise.resolve()
+                        .then(() => {
+                            return cur[method]();
+                        })
+                        .catch(error => {
+                            errors.push(error);
+                        });
+                });
+            },
+            Promise.resolve()
+        )
+        .then(() => {
+            if (errors.length)
+                throw errors[0];
+        });
+}
+
+/**
+ * Child container of the application. Services with 'perScope' lifecycle are instantiated once per scope, the rest
+ * are resolved by the application as usual
+ * @property {App} app                  The application
+ */
+class Scope {
+    /**
+     * Create the scope
+     * @param {App} app                 The application
+     */
+    constructor(app) {
+        this.app = app;
+
+        this._disposed = false;
+        this._instances = new Map();
+        this._created = [];
+        this.registerInstance(this, 'scope');
+    }
+
+    /**
+     * Register an instance of a service in this scope only
+     * @param {*} instance              Instance
+     * @param {string} name             Name
+     * @return {string}                 Returns name of the service
+     */
+    registerInstance(instance, name) {
+        if (!name)
+            throw new Error('No name provided for an instance');
+        if (this._disposed)
+            throw new Error(`Scope is disposed, could not register '${name}'`);
+
+        debug(`Registering scoped instance '${name}'`);
+        this._instances.set(name, instance);
+
+        return name;
+    }
+
+    /**
+     * Get instance of a service
+     * @param {string} name             Service name
+     * @param {...*} extra              Optional extra arguments to the constructor
+     * @return {object}                 Returns instance
+     */
+    get(name, ...extra) {
+        if (!name)
+            throw new Error('No service name provided');
+        if (this._disposed)
+            throw new Error(`Scope is disposed, could not retrieve '${name}'`);
+
+        debug(`Retrieving scoped service '${name}'`);
+        return this.app._resolveService(name, extra, new Map(), this);
+    }
+
+    /**
+     * Search registered services
+     * @param {RegExp} re               Service name RegExp
+     * @return {string[]}               Returns array of mathing service names
+     */
+    search(re) {
+        let result = this.app.search(re);
+        for (let name of this._instances.keys()) {
+            if (re.test(name) && result.indexOf(name) == -1)
+                result.push(name);
+        }
+        return result;
+    }
+
+    /**
+     * Dispose the scope: dispose() method of every service instantiated by this scope is called (if present) in
+     * the reverse order of instantiation
+     * @return {Promise}
+     */
+    dispose() {
+        if (this._disposed)
+            return Promise.resolve();
+
+        debug('Disposing scope');
+        this._disposed = true;
+
+        let instances = this._created.reverse();
+        this._created = [];
+        this._instances.clear();
+
+        return disposeAll(instances)
+            .catch(error => {
+                throw new WError(error, 'Scope.dispose()');
+            });
+    }
 }
 
 /**
@@ -29,7 +158,9 @@ class App {
         debug('Constructing the app');
         this._initialized = null;
         this._running = null;
+        this._stopping = null;
         this._container = new Map();
+        this._singletons = [];
         this.registerInstance(this, 'app');
     }
 
@@ -52,7 +183,9 @@ class App {
     }
 
     /**
-     * Register class function as a service
+     * Register class function as a service<br>
+     * Lifecycle is read from classFunc.lifecycle: 'perRequest' (default, one instance per .get() call), 'unique'
+     * (new instance every time), 'perScope' (one instance per scope, see .createScope()) or 'singleton'
      * @param {function} classFunc          Class function
      * @return {string}                     Returns name of the service
      */
@@ -83,6 +216,16 @@ class App {
         return this._resolveService(name, extra, new Map());
     }
 
+    /**
+     * Create a child container. Use it for the lifetime of a single HTTP request or a job run and dispose
+     * afterwards
+     * @return {Scope}                      Returns new scope
+     */
+    createScope() {
+        debug('Creating new scope');
+        return new Scope(this);
+    }
+
     /**
      * Search registered services
      * @param {RegExp} re                   Service name RegExp
@@ -99,12 +242,16 @@ class App {
     }
 
     /**
-     * Run the app. This method will simply call .init() and then .start().
+     * Run the app. This method will simply call .init() and then .start(). SIGTERM and SIGINT will .stop() the app
+     * and terminate the process.
      * @return {Promise}                    Process will be terminated instead of promise rejection
      */
     run() {
         return this.init()
             .then(() => {
+                for (let signal of [ 'SIGTERM', 'SIGINT' ])
+                    process.once(signal, this.onSignal.bind(this, signal));
+
                 return this.start();
             })
             .catch(err => {
@@ -120,6 +267,31 @@ class App {
             });
     }
 
+    /**
+     * Termination signal handler: stops the app and exits
+     * @param {string} signal               Signal name
+     */
+    onSignal(signal) {
+        let logger;
+        try {
+            logger = this.get('logger');
+        } catch (ignore) {
+            logger = new AppLogger();
+        }
+
+        logger.info(`Received ${signal}, shutting down`);
+        this.stop()
+            .then(
+                () => {
+                    process.exit(0);
+                },
+                error => {
+                    logger.error(error);
+                    process.exit(1);
+                }
+            );
+    }
+
     /**
      * Initialize the app
      * @return {Promise}
@@ -167,6 +339,32 @@ class App {
         });
     }
 
+    /**
+     * Stop the app: dispose() (or done()) is called on every instantiated singleton in the reverse order of
+     * instantiation, so a service is always disposed before its dependencies. Subsequent calls return the same Promise
+     * @return {Promise}
+     */
+    stop() {
+        if (this._stopping)
+            return this._stopping;
+
+        debug('Stopping the app');
+        this._stopping = Promise.resolve()
+            .then(() => {
+                let instances = this._singletons.reverse();
+                this._singletons = [];
+                return disposeAll(instances);
+            })
+            .then(() => {
+                this._running = null;
+            })
+            .catch(error => {
+                throw new WError(error, 'App.stop()');
+            });
+
+        return this._stopping;
+    }
+
     /**
      * Load the configuration
      * @return {Promise}
@@ -278,6 +476,11 @@ class App {
                             filename => {
                                 return this.constructor._require(filename)
                                     .then(obj => {
+                                        if (!this.constructor._isService(obj)) {
+                                            debug(`Skipping ${filename}`);
+                                            return;
+                                        }
+
                                         try {
                                             this.registerClass(obj);
                                         } catch (error) {
@@ -312,6 +515,11 @@ class App {
                                             filename => {
                                                 return this.constructor._require(filename)
                                                     .then(obj => {
+                                                        if (!this.constructor._isService(obj)) {
+                                                            debug(`Skipping ${filename}`);
+                                                            return;
+                                                        }
+
                                                         try {
                                                             this.registerClass(obj);
                                                         } catch (error) {
@@ -394,18 +602,23 @@ class App {
 
     /**
      * Resolve dependencies and return an instance of a service
-     * @param {string} name                 Service name
+     * @param {string} name                 Service name, 'name?' is optional: undefined is returned if it is not
+     *                                      registered or is a perScope service requested outside a scope
      * @param {Array} extra                 Extra constructor arguments
      * @param {Map} request                 Resolved dependencies
+     * @param {Scope|null} [scope=null]     Scope the service is requested in
      * @return {object}                     Returns instance of the service
      */
-    _resolveService(name, extra, request) {
+    _resolveService(name, extra, request, scope = null) {
         let mustExist = true;
         if (name[name.length - 1] == '?') {
             name = name.slice(0, -1);
             mustExist = false;
         }
 
+        if (scope && scope._instances.has(name))
+            return scope._instances.get(name);
+
         if (!this._container.has(name)) {
             if (mustExist)
                 throw new Error(`No service was found: ${name}`);
@@ -423,19 +636,32 @@ class App {
             request.set(name, null); // mark as visited but not resolved yet
             switch (service.class.lifecycle || 'perRequest') {
                 case 'perRequest':
-                    instance = this._instantiateClass(service.class, extra, request);
+                    instance = this._instantiateClass(service.class, extra, request, scope);
                     request.set(name, instance);
                     break;
                 case 'unique':
-                    instance = this._instantiateClass(service.class, extra, request);
+                    instance = this._instantiateClass(service.class, extra, request, scope);
                     request.delete(name);
                     break;
+                case 'perScope':
+                    if (!scope) {
+                        request.delete(name);
+                        if (!mustExist)
+                            return undefined;
+                        throw new Error(`Service '${name}' can only be retrieved within a scope`);
+                    }
+                    instance = this._instantiateClass(service.class, extra, request, scope);
+                    scope._instances.set(name, instance);
+                    scope._created.push(instance);
+                    request.set(name, instance);
+                    break;
                 case 'singleton':
                     if (service.instance) {
                         instance = service.instance;
                     } else {
-                        instance = this._instantiateClass(service.class, extra, request);
+                        instance = this._instantiateClass(service.class, extra, request, null);
                         service.instance = instance;
+                        this._singletons.push(instance);
                     }
                     request.set(name, instance);
                     break;
@@ -455,16 +681,27 @@ class App {
      * @param {function} classFunc          Class function
      * @param {Array} extra                 Extra constructor arguments
      * @param {Map} request                 Resolved dependencies
+     * @param {Scope|null} [scope=null]     Scope the service is requested in
      * @return {object}                     Returns instance of the class
      */
-    _instantiateClass(classFunc, extra, request) {
+    _instantiateClass(classFunc, extra, request, scope = null) {
         let args = [];
         for (let arg of classFunc.requires || [])
-            args.push(this._resolveService(arg, [], request));
+            args.push(this._resolveService(arg, [], request, scope));
         args = args.concat(extra);
         return new classFunc(...args);
     }
 
+    /**
+     * Check if loaded file exports a service class. Files which do not (base classes, repository methods) are
+     * skipped by autoload
+     * @param {*} obj                       Exported object
+     * @return {boolean}
+     */
+    static _isService(obj) {
+        return typeof obj == 'function' && !!obj.provides;
+    }
+
     /**
      * Load js file
      * @param {string} filename             Path of the file
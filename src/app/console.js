@@ -3,13 +3,54 @@
  * @module arpen/app/console
  */
 const debug = require('debug')('arpen:app');
+const minimist = require('minimist');
 const App = require('./base');
 
 /**
- * Console application class
- * @extends module:base/app/base~App
+ * Command argument
+ * @typedef {object} CommandArgument
+ * @property {string} name                      Argument name (parsed value is stored under this key too)
+ * @property {boolean} [required=false]         Argument is required
+ * @property {string} [description]             Help text
+ */
+
+/**
+ * Command option
+ * @typedef {object} CommandOption
+ * @property {string} [type='string']           'string', 'number' or 'boolean'
+ * @property {string} [alias]                   One letter alias
+ * @property {*} [default]                      Default value
+ * @property {string} [description]             Help text
+ */
+
+/**
+ * Console application class<br>
+ * <pre>
+ * Commands are services named 'commands.*' with the following interface:
+ * {
+ *      name: 'migrate:rollback',               // command line name
+ *      spec: {
+ *          args: [ CommandArgument ],          // positional arguments
+ *          options: { steps: CommandOption },  // --options
+ *      },
+ *      help: 'Revert ...',                     // help text, the first line is a summary
+ *      run: function (argv) {},                // returns a Promise resolving to the exit code
+ * }
+ * </pre>
+ * @extends module:arpen/app/base~App
  */
 class Console extends App {
+    /**
+     * Initialize the app
+     * @return {Promise}
+     */
+    init() {
+        return super.init()
+            .then(() => {
+                return this._initCommands();
+            });
+    }
+
     /**
      * Start the app
      * @return {Promise}
@@ -19,8 +60,193 @@ class Console extends App {
             .then(() => {
                 debug('Initializing console');
                 this._running = true;
+
+                return this.execute(process.argv.slice(2));
+            })
+            .then(code => {
+                return this.stop()
+                    .then(() => {
+                        process.exit(code);
+                    });
+            });
+    }
+
+    /**
+     * Execute command
+     * @param {string[]} argv               Command line arguments, the first one is the command name
+     * @return {Promise}                    Resolves to exit code
+     */
+    execute(argv) {
+        let name = argv.length ? argv[0] : 'help';
+        let command = this.findCommand(name);
+        if (!command) {
+            console.error(`Unknown command: ${name}\nRun "cmd help" for the list of commands`);
+            return Promise.resolve(1);
+        }
+
+        let parsed;
+        try {
+            parsed = this.parseArguments(command, argv.slice(1));
+        } catch (error) {
+            console.error(`${error.message}\n\n${this.usage(command)}`);
+            return Promise.resolve(1);
+        }
+
+        debug(`Running command ${name}`);
+        return Promise.resolve()
+            .then(() => {
+                let result = command.run(parsed);
+                if (result === null || typeof result != 'object' || typeof result.then != 'function')
+                    throw new Error(`Command '${name}' run() did not return a Promise`);
+                return result;
+            })
+            .then(
+                code => {
+                    return typeof code == 'number' ? code : 0;
+                },
+                error => {
+                    this.get('logger').error(error);
+                    return 1;
+                }
+            );
+    }
+
+    /**
+     * Find command by its name
+     * @param {string} name                 Command line name
+     * @return {object|undefined}           Returns the command
+     */
+    findCommand(name) {
+        for (let command of this.get('commands').values()) {
+            if (command.name == name)
+                return command;
+        }
+        return undefined;
+    }
+
+    /**
+     * Parse command arguments according to its spec
+     * @param {object} command              The command
+     * @param {string[]} argv               Command line arguments without the command name
+     * @return {object}                     Returns minimist-like object (positional arguments are in '_' and
+     *                                      under their names)
+     * @throw {Error}                       Throws on invalid arguments
+     */
+    parseArguments(command, argv) {
+        let args = (command.spec && command.spec.args) || [];
+        let options = (command.spec && command.spec.options) || {};
+
+        let params = { string: [], boolean: [], alias: {}, default: {} };
+        let known = new Set([ '_' ]);
+        for (let option of Object.keys(options)) {
+            known.add(option);
+            if (options[option].type == 'boolean')
+                params.boolean.push(option);
+            else
+                params.string.push(option);
+            if (options[option].alias) {
+                params.alias[option] = options[option].alias;
+                known.add(options[option].alias);
+            }
+            if (typeof options[option].default != 'undefined')
+                params.default[option] = options[option].default;
+        }
+
+        let parsed = minimist(argv, params);
+        for (let key of Object.keys(parsed)) {
+            if (!known.has(key))
+                throw new Error(`Unknown option: ${key}`);
+        }
+
+        for (let option of Object.keys(options)) {
+            if (options[option].type != 'number' || typeof parsed[option] == 'number')
+                continue;
+
+            let value = Number(parsed[option]);
+            if (parsed[option] === '' || isNaN(value))
+                throw new Error(`Option ${option} is not a number`);
+            parsed[option] = value;
+            if (options[option].alias)
+                parsed[options[option].alias] = value;
+        }
+
+        if (parsed._.length > args.length)
+            throw new Error(`Unexpected argument: ${parsed._[args.length]}`);
+        for (let i = 0; i < args.length; i++) {
+            if (i >= parsed._.length) {
+                if (args[i].required)
+                    throw new Error(`Missing argument: ${args[i].name}`);
+                continue;
+            }
+            parsed[args[i].name] = parsed._[i];
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Format usage text of a command
+     * @param {object} command              The command
+     * @return {string}                     Returns the text
+     */
+    usage(command) {
+        let args = (command.spec && command.spec.args) || [];
+        let options = (command.spec && command.spec.options) || {};
+
+        let syntax = 'Usage:\tcmd ' + command.name;
+        if (Object.keys(options).length)
+            syntax += ' [options]';
+        for (let arg of args)
+            syntax += arg.required ? ` <${arg.name}>` : ` [${arg.name}]`;
+
+        let lines = [ syntax, '', command.help || '' ];
+        if (args.length) {
+            lines.push('', 'Arguments:');
+            for (let arg of args)
+                lines.push(`\t${arg.name}\t${arg.description || ''}`);
+        }
+        if (Object.keys(options).length) {
+            lines.push('', 'Options:');
+            for (let option of Object.keys(options)) {
+                let flags = (options[option].alias ? `-${options[option].alias}, ` : '') + `--${option}`;
+                if (options[option].type != 'boolean')
+                    flags += `=<${options[option].type || 'string'}>`;
+                let description = options[option].description || '';
+                if (typeof options[option].default != 'undefined')
+                    description += ` (default: ${options[option].default})`;
+                lines.push(`\t${flags}\t${description}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Instantiate the commands
+     * @return {Promise}
+     */
+    _initCommands() {
+        let commands = new Map();
+        this.registerInstance(commands, 'commands');
+
+        return Promise.resolve()
+            .then(() => {
+                let names = new Set();
+                for (let cur of this.search(/^commands\.[^.]+$/)) {
+                    let command = this.get(cur);
+                    if (typeof command.name != 'string' || !command.name)
+                        throw new Error(`Command '${cur}' has no name`);
+                    if (typeof command.run != 'function')
+                        throw new Error(`Command '${cur}' has no run() method`);
+                    if (names.has(command.name))
+                        throw new Error(`Command '${cur}' name is already taken: ${command.name}`);
+
+                    debug(`Registering command '${cur}'`);
+                    names.add(command.name);
+                    commands.set(cur, command);
+                }
             });
     }
 }
 
-module.exports = Console;
\ No newline at end of file
+module.exports = Console;
@@ -15,6 +15,15 @@ const WError = require('verror').WError;
  * @extends module:arpen/app/base~App
  */
 class WebServer extends App {
+    /**
+     * Create app
+     */
+    constructor() {
+        super();
+        this._connections = new Map();
+        this._closing = null;
+    }
+
     /**
      * Initialize the app
      * @return {Promise}
@@ -38,7 +47,7 @@ class WebServer extends App {
 
                 let views = [];
                 for (let _module of config.modules) {
-                    for (let view of _module.views) {
+                    for (let view of _module.views || []) {
                         let filename = view[0] == '/' ?
                             view :
                             path.join(__dirname, '..', '..', 'modules', _module.name, view);
@@ -96,6 +105,8 @@ class WebServer extends App {
                     });
             })
             .then(server => {
+                server.on('connection', this.onConnection.bind(this));
+                server.on('request', this.onRequest.bind(this));
                 this.registerInstance(server, 'http');
             });
     }
@@ -127,6 +138,85 @@ class WebServer extends App {
             });
     }
 
+    /**
+     * Stop the app: the server stops accepting connections, in-flight requests are given
+     * web_server.options.shutdown_timeout seconds to finish, then the services are disposed
+     * @return {Promise}
+     */
+    stop() {
+        if (!this._closing) {
+            this._closing = new Promise(resolve => {
+                let server;
+                try {
+                    server = this.get('http');
+                } catch (error) {
+                    return resolve();
+                }
+
+                debug('Stopping the server');
+                let timeout = this.get('config').get('web_server.options.shutdown_timeout');
+                if (typeof timeout != 'number')
+                    timeout = 30;
+
+                let timer = setTimeout(
+                    () => {
+                        if (this._connections.size)
+                            this.get('logger').warn(`Dropping ${this._connections.size} connection(s) on shutdown`);
+                        for (let socket of this._connections.keys())
+                            socket.destroy();
+                    },
+                    timeout * 1000
+                );
+
+                server.close(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+
+                for (let [ socket, requests ] of this._connections) {
+                    if (!requests)
+                        socket.destroy();
+                }
+            });
+        }
+
+        return this._closing
+            .then(() => {
+                return super.stop();
+            });
+    }
+
+    /**
+     * Connection handler
+     * @param {object} socket           The socket
+     */
+    onConnection(socket) {
+        this._connections.set(socket, 0);
+        socket.on('close', () => {
+            this._connections.delete(socket);
+        });
+    }
+
+    /**
+     * Request handler
+     * @param {object} req              Express request
+     * @param {object} res              Express response
+     */
+    onRequest(req, res) {
+        let socket = req.socket;
+        this._connections.set(socket, (this._connections.get(socket) || 0) + 1);
+
+        res.on('finish', () => {
+            let requests = (this._connections.get(socket) || 1) - 1;
+            if (!this._connections.has(socket))
+                return;
+
+            this._connections.set(socket, requests);
+            if (this._closing && !requests)
+                socket.destroy();
+        });
+    }
+
     /**
      * Error handler
      * @param {object} error            The error
@@ -0,0 +1,138 @@
+/**
+ * Audit:tail command
+ * @module arpen/commands/audit-tail
+ */
+
+/**
+ * Command class
+ */
+class AuditTail {
+    /**
+     * Create the service
+     * @param {AuditLogRepository} auditLogRepo     Audit log repository
+     */
+    constructor(auditLogRepo) {
+        this._auditLogRepo = auditLogRepo;
+    }
+
+    /**
+     * Service name is 'commands.auditTail'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.auditTail';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.auditLog' ];
+    }
+
+    /**
+     * Number of entries fetched at once when following the log
+     * @type {number}
+     */
+    static get batchSize() {
+        return 1000;
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'audit:tail';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                lines: { type: 'number', alias: 'n', default: 20, description: 'Number of the latest entries to show' },
+                table: { type: 'string', alias: 't', description: 'Show the changes of this table only' },
+                follow: { type: 'boolean', alias: 'f', description: 'Keep showing new entries as they are written' },
+                interval: { type: 'number', default: 2, description: 'Seconds between the checks for new entries' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Show the latest changes of the audit log\n\n' +
+            'With --follow the command runs until it receives SIGTERM or SIGINT';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        let lastId = 0;
+        let print = entries => {
+            for (let entry of entries) {
+                lastId = entry.id;
+                console.log(this.format(entry));
+            }
+        };
+
+        return this._auditLogRepo.findLatest({ limit: argv.lines, table: argv.table || null })
+            .then(entries => {
+                print(entries);
+                if (!argv.follow)
+                    return 0;
+
+                return new Promise((resolve, reject) => {
+                    let check = () => {
+                        this._auditLogRepo.findLatest({
+                                afterId: lastId,
+                                limit: this.constructor.batchSize,
+                                table: argv.table || null,
+                            })
+                            .then(entries => {
+                                print(entries);
+                                if (entries.length == this.constructor.batchSize)
+                                    setImmediate(check); // there may be more
+                                else
+                                    setTimeout(check, argv.interval * 1000);
+                            })
+                            .catch(reject);
+                    };
+                    setTimeout(check, argv.interval * 1000);
+                });
+            });
+    }
+
+    /**
+     * Format an entry as a line
+     * @param {AuditLogModel} entry     The entry
+     * @return {string}                 Returns the line
+     */
+    format(entry) {
+        let changes = Object.keys(entry.changes)
+            .map(column => {
+                let change = entry.changes[column];
+                if (entry.action == 'create')
+                    return `${column}=${JSON.stringify(change.new)}`;
+                if (entry.action == 'delete' && change.new === null)
+                    return `${column}=${JSON.stringify(change.old)}`;
+                return `${column}: ${JSON.stringify(change.old)} -> ${JSON.stringify(change.new)}`;
+            })
+            .join(', ');
+
+        return `${entry.createdAt.format('YYYY-MM-DD HH:mm:ss')}\t${entry.tableName}#${entry.rowId}\t${entry.action}\t` +
+            `${entry.userId === null ? entry.instance : 'user ' + entry.userId}\t${entry.correlationId || '-'}\t` +
+            changes;
+    }
+}
+
+module.exports = AuditTail;
@@ -0,0 +1,96 @@
+/**
+ * Help command
+ * @module arpen/commands/help
+ */
+
+/**
+ * Command class
+ */
+class Help {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {Map} commands            Loaded commands
+     */
+    constructor(app, commands) {
+        this._app = app;
+        this._commands = commands;
+    }
+
+    /**
+     * Service name is 'commands.help'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.help';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'commands' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'help';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'command', description: 'Show help on this command' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'List the commands or show help on a command';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        if (argv.command) {
+            let command = this._app.findCommand(argv.command);
+            if (!command) {
+                console.error(`Unknown command: ${argv.command}`);
+                return Promise.resolve(1);
+            }
+
+            console.log(this._app.usage(command));
+            return Promise.resolve(0);
+        }
+
+        let commands = Array.from(this._commands.values())
+            .sort((a, b) => {
+                return a.name.localeCompare(b.name);
+            });
+        let width = commands.reduce((prev, cur) => { return Math.max(prev, cur.name.length); }, 0);
+
+        console.log('Usage:\tcmd <command> [options] [arguments]\n\nCommands:');
+        for (let command of commands) {
+            let summary = (command.help || '').split('\n')[0];
+            console.log('\t' + command.name + ' '.repeat(width - command.name.length + 2) + summary);
+        }
+        return Promise.resolve(0);
+    }
+}
+
+module.exports = Help;
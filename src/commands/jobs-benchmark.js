@@ -0,0 +1,266 @@
+/**
+ * Jobs:benchmark command
+ * @module arpen/commands/jobs-benchmark
+ */
+const moment = require('moment-timezone');
+
+/**
+ * Command class
+ */
+class JobsBenchmark {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {Postgres} postgres       Postgres service
+     */
+    constructor(app, config, postgres) {
+        this._app = app;
+        this._config = config;
+        this._postgres = postgres;
+    }
+
+    /**
+     * Service name is 'commands.jobsBenchmark'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.jobsBenchmark';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'jobs:benchmark';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                strategy: { type: 'string', default: 'all', description: 'Claim strategy to test or "all"' },
+                jobs: { type: 'number', default: 1000, description: 'Number of jobs' },
+                workers: { type: 'number', default: 4, description: 'Number of concurrent workers' },
+                batch: { type: 'number', default: 10, description: 'Claim batch size of skip_locked strategy' },
+                queues: { type: 'number', default: 0, description: 'Spread the jobs over this many queues' },
+                concurrency: { type: 'number', default: 1, description: 'Concurrency of every queue (skip_locked)' },
+                timeout: { type: 'number', default: 300, description: 'Give up on a strategy after this many seconds' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Compare job claim strategies\n\n' +
+            'Jobs targeted at a dedicated instance name are created and claimed by concurrent workers which finish\n' +
+            'them right away. The workers claim only these jobs (jobs.target_only), so the real ones are not\n' +
+            'touched and running workers are not affected. Use a local database: serializable strategy\n' +
+            'produces a lot of serialization failures under load';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        let strategies = this._app.get('worker').constructor.claimStrategies;
+        if (argv.strategy != 'all') {
+            if (strategies.indexOf(argv.strategy) == -1) {
+                console.error(`Invalid strategy: ${argv.strategy}`);
+                return Promise.resolve(1);
+            }
+            strategies = [ argv.strategy ];
+        }
+        if (argv.jobs < 1 || argv.workers < 1 || argv.batch < 1 || argv.queues < 0 || argv.concurrency < 1) {
+            console.error('Invalid options');
+            return Promise.resolve(1);
+        }
+
+        let target = `${this._config.instance}-benchmark`;
+        return this._cleanup(target)
+            .then(() => {
+                return strategies.reduce(
+                    (prev, strategy) => {
+                        return prev.then(() => {
+                            return this._benchmark(strategy, target, argv)
+                                .then(
+                                    stats => {
+                                        console.log(
+                                            `${strategy}:\t${stats.finished} jobs in ${stats.elapsed / 1000} sec ` +
+                                            `(${Math.round(stats.finished / stats.elapsed * 1000)} jobs/sec), ` +
+                                            `${stats.claims} claims (${stats.empty} empty), ${stats.errors} errors` +
+                                            (stats.timedOut ? ', TIMED OUT' : '')
+                                        );
+                                        return this._cleanup(target);
+                                    },
+                                    error => {
+                                        return this._cleanup(target)
+                                            .then(() => {
+                                                throw error;
+                                            });
+                                    }
+                                );
+                        });
+                    },
+                    Promise.resolve()
+                );
+            })
+            .then(() => {
+                return 0;
+            });
+    }
+
+    /**
+     * Benchmark a strategy
+     * @param {string} strategy         Claim strategy
+     * @param {string} target           Instance name of the benchmark
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to stats object
+     */
+    _benchmark(strategy, target, argv) {
+        let queues = {};
+        for (let i = 0; i < argv.queues; i++)
+            queues[`benchmark-${i}`] = { concurrency: argv.concurrency };
+
+        let config = Object.create(this._config);
+        config.instance = target;
+        config.jobs = Object.assign({}, this._config.jobs, { queues: queues, target_only: true });
+
+        let scope = this._app.createScope();
+        scope.registerInstance(config, 'config');
+        let jobRepo = scope.get('repositories.job');
+
+        let stats = { finished: 0, claims: 0, empty: 0, errors: 0, elapsed: 0, timedOut: false };
+        let started, deadline;
+
+        let worker = () => {
+            if (Date.now() > deadline) {
+                stats.timedOut = true;
+                return Promise.resolve();
+            }
+
+            stats.claims++;
+            return (strategy == 'skip_locked' ? jobRepo.claimPending(argv.batch) : jobRepo.processPending())
+                .then(
+                    jobs => {
+                        if (!jobs.length)
+                            stats.empty++;
+
+                        return jobs.reduce(
+                                (prev, job) => {
+                                    return prev.then(() => {
+                                        return jobRepo.finish(job, 'success', {})
+                                            .then(count => {
+                                                stats.finished += count;
+                                            });
+                                    });
+                                },
+                                Promise.resolve()
+                            )
+                            .then(() => {
+                                return jobs.length;
+                            });
+                    },
+                    () => {
+                        stats.errors++;
+                        return 0;
+                    }
+                )
+                .then(claimed => {
+                    if (stats.finished >= argv.jobs)
+                        return;
+
+                    if (claimed)
+                        return worker();
+
+                    return new Promise(resolve => {
+                            setTimeout(resolve, 10);
+                        })
+                        .then(worker);
+                });
+        };
+
+        return this._postgres.connect()
+            .then(client => {
+                return client.query(
+                        'INSERT ' +
+                        '  INTO jobs(status, queue, script, input, output, target, created_at, created_by) ' +
+                        "SELECT 'pending', " +
+                        "       CASE WHEN $2 > 0 THEN 'benchmark-' || (i % $2) END, " +
+                        "       'benchmark', '{}', '{}', $3, $4, $3 " +
+                        '  FROM generate_series(1, $1) AS i ',
+                        [ argv.jobs, argv.queues, target, moment() ]
+                    )
+                    .then(
+                        () => {
+                            client.done();
+                        },
+                        error => {
+                            client.done();
+                            throw error;
+                        }
+                    );
+            })
+            .then(() => {
+                started = Date.now();
+                deadline = started + argv.timeout * 1000;
+
+                let workers = [];
+                for (let i = 0; i < argv.workers; i++)
+                    workers.push(worker());
+                return Promise.all(workers);
+            })
+            .then(() => {
+                stats.elapsed = Date.now() - started;
+                return scope.dispose();
+            })
+            .then(() => {
+                return stats;
+            });
+    }
+
+    /**
+     * Delete the jobs of benchmark
+     * @param {string} target           Instance name of the benchmark
+     * @return {Promise}
+     */
+    _cleanup(target) {
+        return this._postgres.connect()
+            .then(client => {
+                return client.query(
+                        'DELETE ' +
+                        '  FROM jobs ' +
+                        ' WHERE target = $1 ',
+                        [ target ]
+                    )
+                    .then(
+                        () => {
+                            client.done();
+                        },
+                        error => {
+                            client.done();
+                            throw error;
+                        }
+                    );
+            });
+    }
+}
+
+module.exports = JobsBenchmark;
@@ -0,0 +1,93 @@
+/**
+ * Jobs:cancel command
+ * @module arpen/commands/jobs-cancel
+ */
+
+/**
+ * Command class
+ */
+class JobsCancel {
+    /**
+     * Create the service
+     * @param {JobRepository} jobRepo   Job repository
+     */
+    constructor(jobRepo) {
+        this._jobRepo = jobRepo;
+    }
+
+    /**
+     * Service name is 'commands.jobsCancel'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.jobsCancel';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.job' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'jobs:cancel';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'id', required: true, description: 'ID of the job' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Cancel a job\n\n' +
+            'Pending job is cancelled right away. Running job is asked to stop and becomes cancelled when its handler\n' +
+            'gives up';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        let id = parseInt(argv.id, 10);
+        if (isNaN(id)) {
+            console.error('Invalid job ID');
+            return Promise.resolve(1);
+        }
+
+        return this._jobRepo.cancel(id)
+            .then(result => {
+                switch (result) {
+                    case 'cancelled':
+                        console.log('Cancelled');
+                        return 0;
+                    case 'cancelling':
+                        console.log('Cancellation requested');
+                        return 0;
+                }
+
+                console.error(`Pending or running job not found: ${id}`);
+                return 1;
+            });
+    }
+}
+
+module.exports = JobsCancel;
@@ -0,0 +1,91 @@
+/**
+ * Jobs:dead command
+ * @module arpen/commands/jobs-dead
+ */
+
+/**
+ * Command class
+ */
+class JobsDead {
+    /**
+     * Create the service
+     * @param {JobRepository} jobRepo   Job repository
+     */
+    constructor(jobRepo) {
+        this._jobRepo = jobRepo;
+    }
+
+    /**
+     * Service name is 'commands.jobsDead'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.jobsDead';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.job' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'jobs:dead';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                script: { type: 'string', alias: 's', description: 'Show the jobs of this script only' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'List the jobs which have failed all their attempts\n\n' +
+            'Use jobs:requeue to run them again';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobRepo.findByStatus('dead')
+            .then(jobs => {
+                if (argv.script) {
+                    jobs = jobs.filter(job => {
+                        return job.script == argv.script;
+                    });
+                }
+
+                for (let job of jobs) {
+                    let errors = (job.output && job.output.errors) || [];
+                    console.log(
+                        `${job.id}\t${job.script}\tattempts: ${job.attempts}\t` +
+                        `${job.finishedAt ? job.finishedAt.format('YYYY-MM-DD HH:mm:ss') : ''}\t${errors.join(': ')}`
+                    );
+                }
+                if (!jobs.length)
+                    console.log('No dead jobs');
+                return 0;
+            });
+    }
+}
+
+module.exports = JobsDead;
@@ -0,0 +1,91 @@
+/**
+ * Jobs:purge command
+ * @module arpen/commands/jobs-purge
+ */
+
+/**
+ * Command class
+ */
+class JobsPurge {
+    /**
+     * Create the service
+     * @param {Retention} retention     Retention service
+     */
+    constructor(retention) {
+        this._retention = retention;
+    }
+
+    /**
+     * Service name is 'commands.jobsPurge'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.jobsPurge';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'retention' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'jobs:purge';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                'dry-run': { type: 'boolean', alias: 'n', description: 'Only count the jobs to be purged' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Apply the job retention policies\n\n' +
+            'Finished jobs not retained by jobs.retention.policies are archived or deleted according to\n' +
+            'jobs.retention.archive';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        if (!this._retention.policies.length) {
+            console.error('No job retention policies configured');
+            return Promise.resolve(1);
+        }
+
+        return this._retention.run({ dryRun: argv['dry-run'] })
+            .then(result => {
+                if (argv['dry-run']) {
+                    console.log(`Jobs to purge: ${result.expired}`);
+                    return 0;
+                }
+
+                console.log(`Archived: ${result.archived}`);
+                console.log(`Deleted: ${result.deleted}`);
+                for (let file of result.files)
+                    console.log(`File: ${file}`);
+                return 0;
+            });
+    }
+}
+
+module.exports = JobsPurge;
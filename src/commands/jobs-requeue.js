@@ -0,0 +1,91 @@
+/**
+ * Jobs:requeue command
+ * @module arpen/commands/jobs-requeue
+ */
+
+/**
+ * Command class
+ */
+class JobsRequeue {
+    /**
+     * Create the service
+     * @param {JobRepository} jobRepo   Job repository
+     */
+    constructor(jobRepo) {
+        this._jobRepo = jobRepo;
+    }
+
+    /**
+     * Service name is 'commands.jobsRequeue'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.jobsRequeue';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.job' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'jobs:requeue';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'id', description: 'ID of the dead job' },
+            ],
+            options: {
+                all: { type: 'boolean', alias: 'a', description: 'Requeue all the dead jobs' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Run a dead job again\n\n' +
+            'The job becomes pending with its attempts counter reset';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        let id = argv.all ? null : parseInt(argv.id, 10);
+        if (id !== null && isNaN(id)) {
+            console.error('Specify the job ID or --all');
+            return Promise.resolve(1);
+        }
+
+        return this._jobRepo.requeue(id)
+            .then(count => {
+                if (id !== null && !count) {
+                    console.error(`Dead job not found: ${id}`);
+                    return 1;
+                }
+
+                console.log(`Requeued: ${count}`);
+                return 0;
+            });
+    }
+}
+
+module.exports = JobsRequeue;
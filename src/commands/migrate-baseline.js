@@ -0,0 +1,84 @@
+/**
+ * Migrate:baseline command
+ * @module arpen/commands/migrate-baseline
+ */
+
+/**
+ * Command class
+ */
+class MigrateBaseline {
+    /**
+     * Create the service
+     * @param {Migrator} migrator       Migrator service
+     */
+    constructor(migrator) {
+        this._migrator = migrator;
+    }
+
+    /**
+     * Service name is 'commands.migrateBaseline'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.migrateBaseline';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'migrator' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'migrate:baseline';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Last migration already present in the database' },
+            ],
+            options: {
+                server: { type: 'string', default: 'main', description: 'Postgres server name in config' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Mark database migrations as applied without running them\n\n' +
+            'Use it once on a database created before the migrations, e.g. from the old database/schema.sql:\n' +
+            'migrate:baseline 20161128000000-initial-schema';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._migrator.baseline(argv.name, argv.server)
+            .then(names => {
+                for (let name of names)
+                    console.log(`Marked as applied: ${name}`);
+                if (!names.length)
+                    console.log('Nothing to mark');
+                return 0;
+            });
+    }
+}
+
+module.exports = MigrateBaseline;
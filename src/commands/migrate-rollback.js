@@ -0,0 +1,80 @@
+/**
+ * Migrate:rollback command
+ * @module arpen/commands/migrate-rollback
+ */
+
+/**
+ * Command class
+ */
+class MigrateRollback {
+    /**
+     * Create the service
+     * @param {Migrator} migrator       Migrator service
+     */
+    constructor(migrator) {
+        this._migrator = migrator;
+    }
+
+    /**
+     * Service name is 'commands.migrateRollback'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.migrateRollback';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'migrator' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'migrate:rollback';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                server: { type: 'string', default: 'main', description: 'Postgres server name in config' },
+                steps: { type: 'number', default: 1, description: 'Number of batches to revert' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Revert the last batches of database migrations';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._migrator.rollback(argv.server, argv.steps)
+            .then(names => {
+                for (let name of names)
+                    console.log(`Reverted: ${name}`);
+                if (!names.length)
+                    console.log('Nothing to roll back');
+                return 0;
+            });
+    }
+}
+
+module.exports = MigrateRollback;
@@ -0,0 +1,82 @@
+/**
+ * Migrate:status command
+ * @module arpen/commands/migrate-status
+ */
+
+/**
+ * Command class
+ */
+class MigrateStatus {
+    /**
+     * Create the service
+     * @param {Migrator} migrator       Migrator service
+     */
+    constructor(migrator) {
+        this._migrator = migrator;
+    }
+
+    /**
+     * Service name is 'commands.migrateStatus'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.migrateStatus';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'migrator' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'migrate:status';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                server: { type: 'string', default: 'main', description: 'Postgres server name in config' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Show applied and pending database migrations';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._migrator.status(argv.server)
+            .then(migrations => {
+                for (let migration of migrations) {
+                    console.log(
+                        (migration.batch === null ? 'pending\t' : `batch ${migration.batch}\t`) +
+                        migration.name +
+                        (migration.module ? ` (${migration.module})` : '')
+                    );
+                }
+                return 0;
+            });
+    }
+}
+
+module.exports = MigrateStatus;
@@ -0,0 +1,80 @@
+/**
+ * Migrate command
+ * @module arpen/commands/migrate
+ */
+
+/**
+ * Command class
+ */
+class Migrate {
+    /**
+     * Create the service
+     * @param {Migrator} migrator       Migrator service
+     */
+    constructor(migrator) {
+        this._migrator = migrator;
+    }
+
+    /**
+     * Service name is 'commands.migrate'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.migrate';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'migrator' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'migrate';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                server: { type: 'string', default: 'main', description: 'Postgres server name in config' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Apply pending database migrations\n\n' +
+            'All the pending migrations of the application and the modules are applied in one transaction';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._migrator.migrate(argv.server)
+            .then(names => {
+                for (let name of names)
+                    console.log(`Applied: ${name}`);
+                if (!names.length)
+                    console.log('Nothing to migrate');
+                return 0;
+            });
+    }
+}
+
+module.exports = Migrate;
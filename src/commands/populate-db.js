@@ -0,0 +1,83 @@
+/**
+ * Populate-db command
+ * @module arpen/commands/populate-db
+ */
+
+/**
+ * Command class
+ */
+class PopulateDb {
+    /**
+     * Create the service
+     * @param {Seeder} seeder           Seeder service
+     */
+    constructor(seeder) {
+        this._seeder = seeder;
+    }
+
+    /**
+     * Service name is 'commands.populateDb'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.populateDb';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'seeder' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'populate-db';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                server: { type: 'string', default: 'main', description: 'Postgres server name in config' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Create default roles, permissions and users\n\n' +
+            'Existing records are left intact, so it is safe to run the command again after adding new seeds';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._seeder.seed(argv.server)
+            .then(result => {
+                console.log(`Roles created: ${result.roles}`);
+                console.log(`Permissions created: ${result.permissions}`);
+                console.log(`Users created: ${result.users.length}`);
+                for (let user of result.users) {
+                    if (user.password)
+                        console.log(`\t${user.email} password: ${user.password}`);
+                }
+                return 0;
+            });
+    }
+}
+
+module.exports = PopulateDb;
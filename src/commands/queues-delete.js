@@ -0,0 +1,85 @@
+/**
+ * Queues:delete command
+ * @module arpen/commands/queues-delete
+ */
+
+/**
+ * Command class
+ */
+class QueuesDelete {
+    /**
+     * Create the service
+     * @param {JobQueueRepository} jobQueueRepo     Job queue repository
+     */
+    constructor(jobQueueRepo) {
+        this._jobQueueRepo = jobQueueRepo;
+    }
+
+    /**
+     * Service name is 'commands.queuesDelete'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.queuesDelete';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.jobQueue' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'queues:delete';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Queue name' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Delete the job queue limits\n\n' +
+            'The queue falls back to jobs.queues configuration';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobQueueRepo.findByName(argv.name)
+            .then(queues => {
+                if (!queues.length) {
+                    console.error(`Job queue not found: ${argv.name}`);
+                    return 1;
+                }
+
+                return this._jobQueueRepo.delete(queues[0])
+                    .then(() => {
+                        console.log('Deleted');
+                        return 0;
+                    });
+            });
+    }
+}
+
+module.exports = QueuesDelete;
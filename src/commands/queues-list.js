@@ -0,0 +1,102 @@
+/**
+ * Queues:list command
+ * @module arpen/commands/queues-list
+ */
+
+/**
+ * Command class
+ */
+class QueuesList {
+    /**
+     * Create the service
+     * @param {object} config                       Configuration
+     * @param {JobQueueRepository} jobQueueRepo     Job queue repository
+     */
+    constructor(config, jobQueueRepo) {
+        this._config = config;
+        this._jobQueueRepo = jobQueueRepo;
+    }
+
+    /**
+     * Service name is 'commands.queuesList'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.queuesList';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'repositories.jobQueue' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'queues:list';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {};
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'List the job queue limits\n\n' +
+            'Queues of job_queues table and of jobs.queues configuration are listed, queues not listed run one job\n' +
+            'at a time';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobQueueRepo.findAll()
+            .then(queues => {
+                let rows = new Map();
+                let config = this._config.get('jobs.queues') || {};
+                for (let name of Object.keys(config)) {
+                    rows.set(name, {
+                        concurrency: config[name].concurrency || 1,
+                        targetConcurrency: config[name].target_concurrency || null,
+                        source: 'config',
+                    });
+                }
+                for (let queue of queues) {
+                    rows.set(queue.name, {
+                        concurrency: queue.concurrency,
+                        targetConcurrency: queue.targetConcurrency,
+                        source: 'table',
+                    });
+                }
+
+                let names = Array.from(rows.keys()).sort();
+                for (let name of names) {
+                    let row = rows.get(name);
+                    console.log(
+                        `${name}\tconcurrency: ${row.concurrency}\t` +
+                        `per instance: ${row.targetConcurrency || '-'}\t${row.source}`
+                    );
+                }
+                if (!names.length)
+                    console.log('No job queues');
+                return 0;
+            });
+    }
+}
+
+module.exports = QueuesList;
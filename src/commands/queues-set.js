@@ -0,0 +1,94 @@
+/**
+ * Queues:set command
+ * @module arpen/commands/queues-set
+ */
+
+/**
+ * Command class
+ */
+class QueuesSet {
+    /**
+     * Create the service
+     * @param {App} app                             The application
+     * @param {JobQueueRepository} jobQueueRepo     Job queue repository
+     */
+    constructor(app, jobQueueRepo) {
+        this._app = app;
+        this._jobQueueRepo = jobQueueRepo;
+    }
+
+    /**
+     * Service name is 'commands.queuesSet'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.queuesSet';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'repositories.jobQueue' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'queues:set';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Queue name' },
+            ],
+            options: {
+                concurrency: { type: 'number', alias: 'c', default: 1, description: 'Running jobs at once' },
+                target: { type: 'number', alias: 't', default: 0, description: 'Running jobs at once per instance (0 for no limit)' },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Set the job queue limits\n\n' +
+            'The limits are saved in job_queues table and take precedence over jobs.queues configuration';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1 ||
+            !Number.isInteger(argv.target) || argv.target < 0) {
+            console.error('Invalid options');
+            return Promise.resolve(1);
+        }
+
+        let queue = this._app.get('models.jobQueue');
+        queue.name = argv.name;
+        queue.concurrency = argv.concurrency;
+        queue.targetConcurrency = argv.target || null;
+
+        return this._jobQueueRepo.save(queue)
+            .then(() => {
+                console.log('Saved');
+                return 0;
+            });
+    }
+}
+
+module.exports = QueuesSet;
@@ -0,0 +1,85 @@
+/**
+ * Schedules:list command
+ * @module arpen/commands/schedules-list
+ */
+
+/**
+ * Command class
+ */
+class SchedulesList {
+    /**
+     * Create the service
+     * @param {JobScheduleRepository} jobScheduleRepo  Job schedule repository
+     */
+    constructor(jobScheduleRepo) {
+        this._jobScheduleRepo = jobScheduleRepo;
+    }
+
+    /**
+     * Service name is 'commands.schedulesList'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.schedulesList';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'schedules:list';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {};
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'List the job schedules';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobScheduleRepo.findAll()
+            .then(schedules => {
+                schedules.sort((a, b) => {
+                    return a.name.localeCompare(b.name);
+                });
+
+                for (let schedule of schedules) {
+                    console.log(
+                        `${schedule.name}\t${schedule.cron}\t${schedule.timezone || '-'}\t${schedule.script}\t` +
+                        (schedule.paused ? 'paused' : 'active') + '\t' +
+                        `next: ${schedule.nextRunAt && !schedule.paused ? schedule.nextRunAt.format('YYYY-MM-DD HH:mm') : '-'}\t` +
+                        `last: ${schedule.lastRunAt ? schedule.lastRunAt.format('YYYY-MM-DD HH:mm') : '-'}`
+                    );
+                }
+                if (!schedules.length)
+                    console.log('No job schedules');
+                return 0;
+            });
+    }
+}
+
+module.exports = SchedulesList;
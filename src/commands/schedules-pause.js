@@ -0,0 +1,88 @@
+/**
+ * Schedules:pause command
+ * @module arpen/commands/schedules-pause
+ */
+
+/**
+ * Command class
+ */
+class SchedulesPause {
+    /**
+     * Create the service
+     * @param {JobScheduleRepository} jobScheduleRepo  Job schedule repository
+     */
+    constructor(jobScheduleRepo) {
+        this._jobScheduleRepo = jobScheduleRepo;
+    }
+
+    /**
+     * Service name is 'commands.schedulesPause'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.schedulesPause';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'schedules:pause';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Name of the job schedule' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Stop creating the jobs of a job schedule\n\n' +
+            'Use schedules:resume to start it again';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobScheduleRepo.findByName(argv.name)
+            .then(schedules => {
+                let schedule = schedules.length && schedules[0];
+                if (!schedule) {
+                    console.error(`Job schedule not found: ${argv.name}`);
+                    return 1;
+                }
+
+                schedule.paused = true;
+                schedule.nextRunAt = null;
+                return this._jobScheduleRepo.save(schedule)
+                    .then(() => {
+                        console.log(`Paused: ${schedule.name}`);
+                        return 0;
+                    });
+            });
+    }
+}
+
+module.exports = SchedulesPause;
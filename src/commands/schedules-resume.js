@@ -0,0 +1,88 @@
+/**
+ * Schedules:resume command
+ * @module arpen/commands/schedules-resume
+ */
+
+/**
+ * Command class
+ */
+class SchedulesResume {
+    /**
+     * Create the service
+     * @param {JobScheduleRepository} jobScheduleRepo  Job schedule repository
+     */
+    constructor(jobScheduleRepo) {
+        this._jobScheduleRepo = jobScheduleRepo;
+    }
+
+    /**
+     * Service name is 'commands.schedulesResume'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.schedulesResume';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'schedules:resume';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Name of the job schedule' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Start creating the jobs of a paused job schedule again\n\n' +
+            'Occurrences missed while it was paused are skipped';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobScheduleRepo.findByName(argv.name)
+            .then(schedules => {
+                let schedule = schedules.length && schedules[0];
+                if (!schedule) {
+                    console.error(`Job schedule not found: ${argv.name}`);
+                    return 1;
+                }
+
+                schedule.paused = false;
+                schedule.nextRunAt = null;
+                return this._jobScheduleRepo.save(schedule)
+                    .then(() => {
+                        console.log(`Resumed: ${schedule.name}`);
+                        return 0;
+                    });
+            });
+    }
+}
+
+module.exports = SchedulesResume;
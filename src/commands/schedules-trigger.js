@@ -0,0 +1,86 @@
+/**
+ * Schedules:trigger command
+ * @module arpen/commands/schedules-trigger
+ */
+
+/**
+ * Command class
+ */
+class SchedulesTrigger {
+    /**
+     * Create the service
+     * @param {JobScheduleRepository} jobScheduleRepo  Job schedule repository
+     */
+    constructor(jobScheduleRepo) {
+        this._jobScheduleRepo = jobScheduleRepo;
+    }
+
+    /**
+     * Service name is 'commands.schedulesTrigger'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.schedulesTrigger';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'schedules:trigger';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            args: [
+                { name: 'name', required: true, description: 'Name of the job schedule' },
+            ],
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Create a job of a job schedule right now\n\n' +
+            'The schedule timetable is not affected, paused schedules can be triggered too';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._jobScheduleRepo.findByName(argv.name)
+            .then(schedules => {
+                let schedule = schedules.length && schedules[0];
+                if (!schedule) {
+                    console.error(`Job schedule not found: ${argv.name}`);
+                    return 1;
+                }
+
+                return this._jobScheduleRepo.trigger(schedule)
+                    .then(id => {
+                        console.log(`Created job: ${id}`);
+                        return 0;
+                    });
+            });
+    }
+}
+
+module.exports = SchedulesTrigger;
@@ -0,0 +1,106 @@
+/**
+ * Worker command
+ * @module arpen/commands/worker
+ */
+
+/**
+ * Command class
+ */
+class WorkerCommand {
+    /**
+     * Create the service
+     * @param {Worker} worker           Worker service
+     * @param {Scheduler} scheduler     Scheduler service
+     * @param {Reaper} reaper           Reaper service
+     * @param {Retention} retention     Retention service
+     */
+    constructor(worker, scheduler, reaper, retention) {
+        this._worker = worker;
+        this._scheduler = scheduler;
+        this._reaper = reaper;
+        this._retention = retention;
+    }
+
+    /**
+     * Service name is 'commands.worker'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.worker';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'worker', 'scheduler', 'reaper', 'retention' ];
+    }
+
+    /**
+     * Command name
+     * @type {string}
+     */
+    get name() {
+        return 'worker';
+    }
+
+    /**
+     * Command arguments and options
+     * @type {object}
+     */
+    get spec() {
+        return {
+            options: {
+                scheduler: {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Create the jobs of job schedules too (--no-scheduler to disable)',
+                },
+                reaper: {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Reclaim hung jobs of all the instances too (--no-reaper to disable)',
+                },
+            },
+        };
+    }
+
+    /**
+     * Help text
+     * @type {string}
+     */
+    get help() {
+        return 'Run the job worker\n\n' +
+            'Pending jobs are executed by the registered jobs.* handlers until the process receives SIGTERM or SIGINT';
+    }
+
+    /**
+     * Run the command
+     * @param {object} argv             Parsed arguments
+     * @return {Promise}                Resolves to exit code
+     */
+    run(argv) {
+        return this._worker.start()
+            .then(() => {
+                if (argv.scheduler) {
+                    return this._retention.schedule()
+                        .then(() => {
+                            return this._scheduler.start();
+                        });
+                }
+            })
+            .then(() => {
+                if (argv.reaper)
+                    return this._reaper.start();
+            })
+            .then(() => {
+                return this._worker.wait();
+            })
+            .then(() => {
+                return 0;
+            });
+    }
+}
+
+module.exports = WorkerCommand;
@@ -0,0 +1,45 @@
+/**
+ * Retention job
+ * @module arpen/jobs/retention
+ */
+
+/**
+ * Job handler applying the job retention policies
+ */
+class RetentionJob {
+    /**
+     * Create the service
+     * @param {Retention} retention     Retention service
+     */
+    constructor(retention) {
+        this._retention = retention;
+    }
+
+    /**
+     * Service name is 'jobs.retention'
+     * @type {string}
+     */
+    static get provides() {
+        return 'jobs.retention';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'retention' ];
+    }
+
+    /**
+     * Run the job
+     * @param {object} input            Job input
+     * @param {JobContext} context      Job context
+     * @return {Promise}                Resolves to job output
+     */
+    run(input, context) {
+        return this._retention.run({ dryRun: !!input.dry_run });
+    }
+}
+
+module.exports = RetentionJob;
@@ -5,7 +5,9 @@
 const http = require('http');
 
 /**
- * Error handler
+ * Error handler<br>
+ * Renders error view, JSON body of ErrorHelper.body() is sent instead when the client prefers JSON or the route has
+ * set res.locals.json
  */
 class ErrorHandler {
     /**
@@ -48,7 +50,7 @@ class ErrorHandler {
         });
         this._express.use((err, req, res, next) => {
             let info = this._error.info(err);
-            let status = (info && info.httpStatus) || 500;
+            let status = this._error.httpStatus(err);
 
             if (status === 500)
                 this._logger.error(err);
@@ -56,6 +58,12 @@ class ErrorHandler {
             if (res.headersSent)
                 return;
 
+            if (res.locals.json || req.accepts([ 'html', 'json' ]) === 'json') {
+                return res.status(status).json(
+                    this._error.body(err, this._config.get('env') === 'development')
+                );
+            }
+
             res.locals.statusCode = status;
             res.locals.statusPhrase = http.STATUS_CODES[status];
             res.locals.data = null;
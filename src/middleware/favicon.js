@@ -42,7 +42,7 @@ class Favicon {
      */
     register() {
         for (let _module of this._config.modules) {
-            for (let dir of _module.static) {
+            for (let dir of _module.static || []) {
                 let filename = path.join(
                     dir[0] == '/' ?
                         dir :
@@ -0,0 +1,67 @@
+/**
+ * Request scope middleware
+ * @module arpen/middleware/scope
+ */
+
+/**
+ * Creates a scope for every request (available as req.scope), the scope is disposed when the response is sent
+ */
+class Scope {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} express          Express app
+     * @param {Logger} logger           Logger service
+     */
+    constructor(app, express, logger) {
+        this._app = app;
+        this._express = express;
+        this._logger = logger;
+    }
+
+    /**
+     * Service name is 'middleware.scope'
+     * @type {string}
+     */
+    static get provides() {
+        return 'middleware.scope';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'express', 'logger' ];
+    }
+
+    /**
+     * Register middleware
+     * @return {Promise}
+     */
+    register() {
+        this._express.use((req, res, next) => {
+            let scope = this._app.createScope();
+            scope.registerInstance(req, 'request');
+            scope.registerInstance(res, 'response');
+            req.scope = scope;
+
+            let dispose = () => {
+                res.removeListener('finish', dispose);
+                res.removeListener('close', dispose);
+                scope.dispose()
+                    .catch(error => {
+                        this._logger.error(error);
+                    });
+            };
+            res.on('finish', dispose);
+            res.on('close', dispose);
+
+            next();
+        });
+
+        return Promise.resolve();
+    }
+}
+
+module.exports = Scope;
@@ -41,7 +41,7 @@ class StaticFiles {
      */
     register() {
         for (let _module of this._config.modules) {
-            for (let dir of _module.static) {
+            for (let dir of _module.static || []) {
                 let filename = dir[0] == '/' ?
                     dir :
                     path.join(__dirname, '..', '..', 'modules', _module.name, dir);
@@ -0,0 +1,55 @@
+/**
+ * Audit log model
+ * @module arpen/models/audit-log
+ */
+const moment = require('moment-timezone');
+const Model = require('./base');
+
+/**
+ * Audit log entry model class
+ */
+class AuditLogModel extends Model {
+    /**
+     * Service name is 'models.auditLog'
+     * @type {string}
+     */
+    static get provides() {
+        return 'models.auditLog';
+    }
+
+    /**
+     * DB table is 'audit_log'
+     * @type {string}
+     */
+    static get table() {
+        return 'audit_log';
+    }
+
+    /**
+     * Actions of the entries
+     * @type {string[]}
+     */
+    static get actions() {
+        return [ 'create', 'update', 'delete', 'restore' ];
+    }
+
+    /**
+     * Field schema
+     * @type {object}
+     */
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            tableName: { type: 'string', validate: { isLength: { min: 1 } } },
+            rowId: { type: 'integer' },
+            action: { type: 'string', validate: { isIn: [ this.actions ] } },
+            changes: { type: 'json', default: () => ({}) },
+            userId: { type: 'integer', nullable: true },
+            instance: { type: 'string' },
+            correlationId: { type: 'string', nullable: true },
+            createdAt: { type: 'datetime', default: () => moment() },
+        };
+    }
+}
+
+module.exports = AuditLogModel;
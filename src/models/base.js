@@ -2,18 +2,578 @@
  * Base class for models
  * @module arpen/models/base
  */
+const moment = require('moment-timezone');
+const validator = require('validator');
 
 /**
- * Base class for models
- * @property {boolean} _dirty           Model has been changed flag
+ * Compiled schemas of model classes
+ * @type {WeakMap}
+ */
+const schemas = new WeakMap();
+
+/**
+ * Compiled relations of model classes
+ * @type {WeakMap}
+ */
+const relations = new WeakMap();
+
+/**
+ * Copy a value so that changes made inside it are detected
+ * @param {*} value                     The value
+ * @return {*}                          Returns the copy
+ */
+function clone(value) {
+    if (moment.isMoment(value))
+        return value.clone();
+    if (value !== null && typeof value == 'object')
+        return JSON.parse(JSON.stringify(value));
+    return value;
+}
+
+/**
+ * Compare field values
+ * @param {*} a                         First value
+ * @param {*} b                         Second value
+ * @return {boolean}
+ */
+function isEqual(a, b) {
+    if (moment.isMoment(a) || moment.isMoment(b)) {
+        return moment.isMoment(a) && moment.isMoment(b) && a.isValid() == b.isValid() &&
+            (!a.isValid() || a.valueOf() === b.valueOf());
+    }
+    if (a !== null && b !== null && typeof a == 'object' && typeof b == 'object')
+        return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+/**
+ * Define getter and setter of a relation on the model class prototype
+ * @param {function} cls                Model class
+ * @param {object} relation             Compiled relation definition
+ */
+function defineRelationAccessors(cls, relation) {
+    Object.defineProperty(cls.prototype, relation.name, {
+        configurable: true,
+        enumerable: true,
+        get: function () {
+            return this._relations.get(relation.name);
+        },
+        set: function (value) {
+            this._relations.set(relation.name, value);
+        },
+    });
+}
+
+/**
+ * Define getter and setter of a field on the model class prototype
+ * @param {function} cls                Model class
+ * @param {object} field                Compiled field definition
+ */
+function defineAccessors(cls, field) {
+    Object.defineProperty(cls.prototype, field.property, {
+        configurable: true,
+        enumerable: true,
+        get: function () {
+            return this._getField(field.column);
+        },
+        set: function (value) {
+            this._setField(field.column, this.constructor.coerce(value, field.type));
+        },
+    });
+}
+
+/**
+ * Base class for models<br>
+ * <pre>
+ * A model declares its fields in static 'schema' property, accessors of the fields are generated:
+ * {
+ *      createdAt: {                            // property name
+ *          column: 'created_at',               // DB column, snake_case of the property name by default
+ *          type: 'datetime',                   // 'integer', 'float', 'string', 'boolean', 'json', 'datetime' or
+ *                                              // array of these: 'integer[]', 'string[]', ...
+ *          nullable: false,                    // null is allowed, default is false
+ *          generated: false,                   // value is assigned by the database (e.g. serial ID) and may be
+ *                                              // empty, default is false
+ *          default: () => moment(),            // initial value of new model (function is called), optional
+ *          hidden: false,                      // field is not serialized unless a projection lists it, default
+ *                                              // is false
+ *          validate: {                         // rules of 'validator' package: true, array of arguments or
+ *              isAfter: [ '2000-01-01' ],      // options object of the rule, optional
+ *          },
+ *          messages: {                         // error messages of the rules, 'required' and 'type' checks,
+ *              isAfter: 'Too old',             // optional
+ *          },
+ *      },
+ * }
+ *
+ * Assigned values are coerced to the type when possible: numeric strings to numbers, 'true'/'false' and 1/0 to
+ * booleans, JSON strings to objects, Date instances, ISO 8601 strings and milliseconds to moments. A value which can
+ * not be coerced is kept as is and is reported by validate().
+ *
+ * Changes are tracked per field against the values the model had when it was created, loaded or saved (see reset()),
+ * including the changes made inside JSON values and moments, getChanges() lists them.
+ *
+ * A model with 'version' integer field is locked optimistically: Repository.save() updates the record only if it
+ * still has the version the model was loaded with and increments it (see Repository). A model with 'deletedAt'
+ * nullable datetime field is soft deleted: Repository.delete() sets it instead of deleting the record. Changes of a
+ * model with static 'audited' property set are written to the audit log by Repository.
+ *
+ * Related models are declared in static 'relations' property, they are loaded by Repository.load() (or 'include'
+ * option of the finders) and are accessed as properties of the same name (undefined when not loaded):
+ * {
+ *      parent: {                               // relation name
+ *          type: 'belongsTo',                  // foreign key of this model references the related model
+ *          model: 'models.role',               // service name of the related model
+ *          repository: 'repositories.role',    // its repository, derived from the model name by default
+ *          foreignKey: 'parent_id',            // DB column of this model, the value is null if it is NULL
+ *      },
+ *      permissions: {
+ *          type: 'hasMany',                    // foreign key of the related models references this model
+ *          model: 'models.permission',
+ *          foreignKey: 'role_id',              // DB column of the related model, the value is an array
+ *          cache: 'permissions-by-role-id',    // cache key prefix of the related records by this model ID, the
+ *                                              // key the SQL trigger invalidates, optional
+ *      },
+ *      users: {
+ *          type: 'manyToMany',                 // the models are linked in a join table
+ *          model: 'models.user',
+ *          through: 'user_roles',              // the join table
+ *          key: 'role_id',                     // its column referencing this model
+ *          foreignKey: 'user_id',              // its column referencing the related model, the value is an array
+ *          cache: null,                        // cache key prefix of the join table rows (key and foreignKey
+ *                                              // columns) by this model ID, optional
+ *      },
+ * }
+ *
+ * toJSON() (and so JSON.stringify() and res.json()) converts the model to an object of DB column names with moments
+ * as ISO 8601 strings. It has the fields which are not hidden and the loaded relations. Named projections of static
+ * 'projections' property list the properties (fields and relations) to serialize instead, see project():
+ * {
+ *      public: [ 'id', 'name', 'roles' ],      // related models are serialized with the projection of the same name
+ *                                              // if their class has it
+ * }
+ * fromJSON() is the reverse: it sets the fields of a projection from such an object (e.g. request body) and
+ * validates the model.
+ * </pre>
  */
 class Model {
     /**
-     * Create model
+     * Create model, fields are set to their defaults
      */
     constructor() {
-        this._dirty = false;
         this._fields = new Map();
+        this._saved = new Map();
+        this._relations = new Map();
+        this.constructor.getRelations();
+
+        for (let field of this.constructor.getSchema().values()) {
+            let value;
+            if (typeof field.default == 'function')
+                value = field.default();
+            else
+                value = field.default;
+            this._fields.set(field.column, this.constructor.coerce(value, field.type));
+        }
+        this.reset();
+    }
+
+    /**
+     * DB table of the model, used by generic Repository methods
+     * @type {string|null}
+     */
+    static get table() {
+        return null;
+    }
+
+    /**
+     * Changes made by Repository methods are written to the audit log
+     * @type {boolean}
+     */
+    static get audited() {
+        return false;
+    }
+
+    /**
+     * Field schema: property name => field definition
+     * @type {object}
+     */
+    static get schema() {
+        return {};
+    }
+
+    /**
+     * Relations: relation name => relation definition
+     * @type {object}
+     */
+    static get relations() {
+        return {};
+    }
+
+    /**
+     * Projections: projection name => array of property names
+     * @type {object}
+     */
+    static get projections() {
+        return {};
+    }
+
+    /**
+     * Relation types
+     * @type {string[]}
+     */
+    static get relationTypes() {
+        return [ 'belongsTo', 'hasMany', 'manyToMany' ];
+    }
+
+    /**
+     * Field types
+     * @type {string[]}
+     */
+    static get types() {
+        return [ 'integer', 'float', 'string', 'boolean', 'json', 'datetime' ];
+    }
+
+    /**
+     * Compiled schema of the model class, the accessors are defined when it is compiled for the first time
+     * @return {Map}                    Returns map of property name => field definition with all the keys filled in
+     */
+    static getSchema() {
+        let result = schemas.get(this);
+        if (result)
+            return result;
+
+        result = new Map();
+        let schema = this.schema;
+        for (let property of Object.keys(schema)) {
+            let field = Object.assign(
+                {
+                    column: property.replace(/([A-Z])/g, match => '_' + match.toLowerCase()),
+                    nullable: false,
+                    generated: false,
+                    default: undefined,
+                    hidden: false,
+                    validate: {},
+                    messages: {},
+                },
+                schema[property],
+                { property: property }
+            );
+
+            let type = field.type.replace(/\[\]$/, '');
+            if (this.types.indexOf(type) == -1)
+                throw new Error(`Invalid type of ${this.name}.${property}: ${field.type}`);
+            for (let rule of Object.keys(field.validate)) {
+                if (typeof validator[rule] != 'function' || !/^is/.test(rule))
+                    throw new Error(`Invalid validator rule of ${this.name}.${property}: ${rule}`);
+            }
+
+            result.set(property, field);
+
+            if (!Object.prototype.hasOwnProperty.call(this.prototype, property))
+                defineAccessors(this, field);
+        }
+
+        schemas.set(this, result);
+        return result;
+    }
+
+    /**
+     * Compiled relations of the model class, the accessors are defined when they are compiled for the first time
+     * @return {Map}                    Returns map of relation name => relation definition with all the keys filled in
+     */
+    static getRelations() {
+        let result = relations.get(this);
+        if (result)
+            return result;
+
+        result = new Map();
+        let definitions = this.relations;
+        for (let name of Object.keys(definitions)) {
+            let relation = Object.assign(
+                {
+                    through: null,
+                    key: null,
+                    cache: null,
+                },
+                definitions[name],
+                { name: name }
+            );
+            if (!relation.repository)
+                relation.repository = relation.model.replace(/^models\./, 'repositories.');
+
+            if (this.relationTypes.indexOf(relation.type) == -1)
+                throw new Error(`Invalid type of ${this.name}.${name} relation: ${relation.type}`);
+            if (!relation.foreignKey || (relation.type == 'manyToMany' && (!relation.through || !relation.key)))
+                throw new Error(`Keys of ${this.name}.${name} relation are not defined`);
+            if (this.getSchema().has(name))
+                throw new Error(`${this.name}.${name} relation has the name of a field`);
+
+            result.set(name, relation);
+
+            if (!Object.prototype.hasOwnProperty.call(this.prototype, name))
+                defineRelationAccessors(this, relation);
+        }
+
+        relations.set(this, result);
+        return result;
+    }
+
+    /**
+     * Properties of a projection
+     * @param {string|null} [projection]    Projection name, null for the fields which are not hidden and the relations
+     * @return {string[]}                   Returns array of property names
+     */
+    static getProjection(projection = null) {
+        if (projection === null) {
+            let result = [];
+            for (let field of this.getSchema().values()) {
+                if (!field.hidden)
+                    result.push(field.property);
+            }
+            return result.concat(Array.from(this.getRelations().keys()));
+        }
+
+        let properties = this.projections[projection];
+        if (!properties)
+            throw new Error(`Unknown projection of ${this.name}: ${projection}`);
+        return properties;
+    }
+
+    /**
+     * Convert a value to the type if possible
+     * @param {*} value                 The value
+     * @param {string} type             Field type
+     * @return {*}                      Returns converted value or the value as is
+     */
+    static coerce(value, type) {
+        if (value === null || typeof value == 'undefined')
+            return value;
+
+        if (/\[\]$/.test(type)) {
+            if (!Array.isArray(value))
+                return value;
+
+            type = type.slice(0, -2);
+            return value.map(item => {
+                return this.coerce(item, type);
+            });
+        }
+
+        switch (type) {
+            case 'integer':
+                if (typeof value == 'string' && /^-?\d+$/.test(value))
+                    return parseInt(value, 10);
+                break;
+            case 'float':
+                if (typeof value == 'string' && value.trim().length && isFinite(value))
+                    return parseFloat(value);
+                break;
+            case 'string':
+                if (typeof value == 'number' || typeof value == 'boolean')
+                    return String(value);
+                break;
+            case 'boolean':
+                if (value === 'true' || value === '1' || value === 1)
+                    return true;
+                if (value === 'false' || value === '0' || value === 0)
+                    return false;
+                break;
+            case 'json':
+                if (typeof value == 'string') {
+                    try {
+                        return JSON.parse(value);
+                    } catch (error) {
+                        // keep the string
+                    }
+                }
+                break;
+            case 'datetime':
+                if (value instanceof Date) {
+                    return moment(value);
+                } else if (typeof value == 'number') {
+                    return moment(value);
+                } else if (typeof value == 'string') {
+                    let result = moment(value, moment.ISO_8601);
+                    if (result.isValid())
+                        return result;
+                }
+                break;
+        }
+
+        return value;
+    }
+
+    /**
+     * Check that a coerced value is of the type
+     * @param {*} value                 The value, not null or undefined
+     * @param {string} type             Field type
+     * @return {boolean}
+     */
+    static isOfType(value, type) {
+        if (/\[\]$/.test(type)) {
+            type = type.slice(0, -2);
+            return Array.isArray(value) && value.every(item => {
+                return item !== null && typeof item != 'undefined' && this.isOfType(item, type);
+            });
+        }
+
+        switch (type) {
+            case 'integer':
+                return Number.isInteger(value);
+            case 'float':
+                return typeof value == 'number' && isFinite(value);
+            case 'string':
+                return typeof value == 'string';
+            case 'boolean':
+                return typeof value == 'boolean';
+            case 'json':
+                return true;
+            case 'datetime':
+                return moment.isMoment(value) && value.isValid();
+        }
+        return false;
+    }
+
+    /**
+     * Validate the fields
+     * @return {object|null}            Returns null if the model is valid, otherwise object of DB column name =>
+     *                                  array of error messages
+     */
+    validate() {
+        let errors = {};
+        let addError = (field, message) => {
+            if (!errors[field.column])
+                errors[field.column] = [];
+            errors[field.column].push(message);
+        };
+
+        for (let field of this.constructor.getSchema().values()) {
+            let value = this._getField(field.column);
+            if (value === null || typeof value == 'undefined') {
+                if (!field.nullable && !field.generated)
+                    addError(field, field.messages.required || 'Value is required');
+                continue;
+            }
+
+            if (!this.constructor.isOfType(value, field.type)) {
+                addError(field, field.messages.type || `Value should be of type ${field.type}`);
+                continue;
+            }
+
+            if (typeof value != 'string' && typeof value != 'number')
+                continue;
+
+            for (let rule of Object.keys(field.validate)) {
+                let args = field.validate[rule];
+                if (args === true)
+                    args = [];
+                else if (!Array.isArray(args))
+                    args = [ args ];
+
+                if (!validator[rule](String(value), ...args))
+                    addError(field, field.messages[rule] || `Invalid value (${rule})`);
+            }
+        }
+
+        return Object.keys(errors).length ? errors : null;
+    }
+
+    /**
+     * Object for JSON.stringify(), see project()
+     * @return {object}
+     */
+    toJSON() {
+        return this.project();
+    }
+
+    /**
+     * Convert the model to a plain object: fields are named by DB columns, moments are converted to ISO 8601 strings,
+     * relations which are not loaded are omitted
+     * @param {string|null} [projection]    Projection name, see getProjection()
+     * @return {object}                     Returns the object
+     */
+    project(projection = null) {
+        let schema = this.constructor.getSchema();
+        let relations = this.constructor.getRelations();
+        let convert = model => {
+            if (!model)
+                return null;
+            if (projection !== null && model.constructor.projections[projection])
+                return model.project(projection);
+            return model.project();
+        };
+
+        let data = {};
+        for (let property of this.constructor.getProjection(projection)) {
+            if (schema.has(property)) {
+                let value = this._getField(schema.get(property).column);
+                if (moment.isMoment(value))
+                    value = value.isValid() ? value.toISOString() : null;
+                data[schema.get(property).column] = value;
+            } else if (relations.has(property)) {
+                let value = this._relations.get(property);
+                if (typeof value != 'undefined')
+                    data[property] = Array.isArray(value) ? value.map(convert) : convert(value);
+            } else {
+                throw new Error(`Unknown property of ${this.constructor.name}: ${property}`);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Set the fields from an object of project() format, generated fields are not set
+     * @param {object} data                 The object, e.g. request body
+     * @param {string|null} [projection]    Projection listing the fields which can be set, see getProjection()
+     * @return {object|null}                Returns the result of validate()
+     */
+    fromJSON(data, projection = null) {
+        let schema = this.constructor.getSchema();
+        for (let property of this.constructor.getProjection(projection)) {
+            let field = schema.get(property);
+            if (!field || field.generated)
+                continue;
+
+            if (data && typeof data == 'object' && Object.prototype.hasOwnProperty.call(data, field.column))
+                this[property] = data[field.column];
+        }
+        return this.validate();
+    }
+
+    /**
+     * Model has been changed flag
+     * @type {boolean}
+     */
+    get _dirty() {
+        for (let [ field, value ] of this._fields) {
+            if (!isEqual(value, this._saved.get(field)))
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Changed fields
+     * @return {object}                 Returns object of DB column name => { old, new } for every changed field
+     */
+    getChanges() {
+        let changes = {};
+        for (let [ field, value ] of this._fields) {
+            let old = this._saved.get(field);
+            if (!isEqual(value, old))
+                changes[field] = { old: old, new: value };
+        }
+        return changes;
+    }
+
+    /**
+     * Forget the changes: current values become the saved state of the model. Called when the model is loaded from or
+     * written to the database
+     */
+    reset() {
+        this._saved.clear();
+        for (let [ field, value ] of this._fields)
+            this._saved.set(field, clone(value));
     }
 
     /**
@@ -23,7 +583,6 @@ class Model {
      */
     _setField(field, value) {
         this._fields.set(field, value);
-        this._dirty = true;
     }
 
     /**
@@ -0,0 +1,32 @@
+/**
+ * Job queue model
+ * @module arpen/models/job-queue
+ */
+const Model = require('./base');
+
+/**
+ * Job queue model class
+ */
+class JobQueueModel extends Model {
+    /**
+     * Service name is 'models.jobQueue'
+     * @type {string}
+     */
+    static get provides() {
+        return 'models.jobQueue';
+    }
+
+    /**
+     * Field schema
+     * @type {object}
+     */
+    static get schema() {
+        return {
+            name: { type: 'string', validate: { isLength: { min: 1 } } },
+            concurrency: { type: 'integer', default: 1, validate: { isInt: { min: 1 } } },
+            targetConcurrency: { type: 'integer', nullable: true, validate: { isInt: { min: 1 } } },
+        };
+    }
+}
+
+module.exports = JobQueueModel;
@@ -0,0 +1,50 @@
+/**
+ * Job schedule model
+ * @module arpen/models/job-schedule
+ */
+const Model = require('./base');
+
+/**
+ * Job schedule model class
+ */
+class JobScheduleModel extends Model {
+    /**
+     * Service name is 'models.jobSchedule'
+     * @type {string}
+     */
+    static get provides() {
+        return 'models.jobSchedule';
+    }
+
+    /**
+     * DB table is 'job_schedules'
+     * @type {string}
+     */
+    static get table() {
+        return 'job_schedules';
+    }
+
+    /**
+     * Field schema
+     * @type {object}
+     */
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            name: { type: 'string', validate: { isLength: { min: 1 } } },
+            cron: { type: 'string', validate: { isLength: { min: 1 } } },
+            timezone: { type: 'string', nullable: true },
+            queue: { type: 'string', nullable: true },
+            script: { type: 'string', validate: { isLength: { min: 1 } } },
+            input: { type: 'json', default: () => ({}) },
+            target: { type: 'string', nullable: true },
+            maxAttempts: { type: 'integer', nullable: true, validate: { isInt: { min: 1 } } },
+            paused: { type: 'boolean', default: false },
+            lastRunAt: { type: 'datetime', nullable: true },
+            nextRunAt: { type: 'datetime', nullable: true },
+            createdAt: { type: 'datetime' },
+        };
+    }
+}
+
+module.exports = JobScheduleModel;
@@ -8,28 +8,6 @@ const Model = require('./base');
  * Job model class
  */
 class JobModel extends Model {
-    /**
-     * Create model
-     */
-    constructor() {
-        super();
-
-        this.id = undefined;
-        this.status = undefined;
-        this.queue = undefined;
-        this.script = undefined;
-        this.input = undefined;
-        this.output = undefined;
-        this.target = undefined;
-        this.scheduleStart = undefined;
-        this.scheduleEnd = undefined;
-        this.createdAt = undefined;
-        this.createdBy = undefined;
-        this.startedAt = undefined;
-        this.startedBy = undefined;
-        this.finishedAt = undefined;
-    }
-
     /**
      * Service name is 'models.job'
      * @type {string}
@@ -39,235 +17,138 @@ class JobModel extends Model {
     }
 
     /**
-     * Job statuses
-     * @type {string[]}
-     */
-    static get statuses() {
-        return [ 'pending', 'running', 'success', 'failure', 'expired' ];
-    }
-
-    /**
-     * ID setter
-     * @type {undefined|number}
-     */
-    set id(id) {
-        this._setField('id', id);
-    }
-
-    /**
-     * ID getter
-     * @type {undefined|number}
-     */
-    get id() {
-        return this._getField('id');
-    }
-
-    /**
-     * Status setter
-     * @type {undefined|string}
-     */
-    set status(status) {
-        this._setField('status', status);
-    }
-
-    /**
-     * Status getter
-     * @type {undefined|string}
-     */
-    get status() {
-        return this._getField('status');
-    }
-
-    /**
-     * Queue setter
-     * @type {undefined|string|null}
-     */
-    set queue(queue) {
-        this._setField('queue', queue);
-    }
-
-    /**
-     * Queue getter
-     * @type {undefined|string|null}
-     */
-    get queue() {
-        return this._getField('queue');
-    }
-
-    /**
-     * Script setter
-     * @type {undefined|string}
-     */
-    set script(script) {
-        this._setField('script', script);
-    }
-
-    /**
-     * Script getter
-     * @type {undefined|string}
-     */
-    get script() {
-        return this._getField('script');
-    }
-
-    /**
-     * Input setter
-     * @type {undefined|object}
-     */
-    set input(input) {
-        this._setField('input', input);
-    }
-
-    /**
-     * Input getter
-     * @type {undefined|object}
-     */
-    get input() {
-        return this._getField('input');
-    }
-
-    /**
-     * Output setter
-     * @type {undefined|object}
-     */
-    set output(output) {
-        this._setField('output', output);
-    }
-
-    /**
-     * Output getter
-     * @type {undefined|object}
-     */
-    get output() {
-        return this._getField('output');
-    }
-
-    /**
-     * Target setter
-     * @type {undefined|string|null}
-     */
-    set target(target) {
-        this._setField('target', target);
-    }
-
-    /**
-     * Target getter
-     * @type {undefined|string|null}
-     */
-    get target() {
-        return this._getField('target');
-    }
-
-    /**
-     * Schedule start time setter
-     * @type {undefined|object|null}
-     */
-    set scheduleStart(scheduleStart) {
-        this._setField('schedule_start', scheduleStart);
-    }
-
-    /**
-     * Schedule start time getter
-     * @type {undefined|object|null}
-     */
-    get scheduleStart() {
-        return this._getField('schedule_start');
-    }
-
-    /**
-     * Schedule end time setter
-     * @type {undefined|object|null}
-     */
-    set scheduleEnd(scheduleEnd) {
-        this._setField('schedule_end', scheduleEnd);
-    }
-
-    /**
-     * Schedule end time getter
-     * @type {undefined|object|null}
-     */
-    get scheduleEnd() {
-        return this._getField('schedule_end');
-    }
-
-    /**
-     * Creation time setter
-     * @type {undefined|object}
-     */
-    set createdAt(createdAt) {
-        this._setField('created_at', createdAt);
-    }
-
-    /**
-     * Creation time getter
-     * @type {undefined|object}
-     */
-    get createdAt() {
-        return this._getField('created_at');
-    }
-
-    /**
-     * Creator setter
-     * @type {undefined|string}
-     */
-    set createdBy(createdBy) {
-        this._setField('created_by', createdBy);
-    }
-
-    /**
-     * Creator getter
-     * @type {undefined|string}
-     */
-    get createdBy() {
-        return this._getField('created_by');
-    }
-
-    /**
-     * Real starting time setter
-     * @type {undefined|object|null}
-     */
-    set startedAt(startedAt) {
-        this._setField('started_at', startedAt);
-    }
-
-    /**
-     * Real starting time getter
-     * @type {undefined|object|null}
-     */
-    get startedAt() {
-        return this._getField('started_at');
-    }
-
-    /**
-     * Job doer setter
-     * @type {undefined|string|null}
-     */
-    set startedBy(startedBy) {
-        this._setField('started_by', startedBy);
-    }
-
-    /**
-     * Job doer getter
-     * @type {undefined|string|null}
+     * DB table is 'jobs'
+     * @type {string}
      */
-    get startedBy() {
-        return this._getField('started_by');
+    static get table() {
+        return 'jobs';
+    }
+
+    /**
+     * Changes are audited
+     * @type {boolean}
+     */
+    static get audited() {
+        return true;
+    }
+
+    /**
+     * Field schema
+     * @type {object}
+     */
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            status: {
+                type: 'string',
+                validate: { isIn: [ this.statuses ] },
+                messages: { isIn: 'Invalid status' },
+            },
+            queue: { type: 'string', nullable: true },
+            script: {
+                type: 'string',
+                validate: { isLength: { min: 1 } },
+                messages: { required: 'Script is required', isLength: 'Script is required' },
+            },
+            input: { type: 'json', default: () => ({}) },
+            output: { type: 'json', default: () => ({}) },
+            target: { type: 'string', nullable: true },
+            scheduleStart: { type: 'datetime', nullable: true },
+            scheduleEnd: { type: 'datetime', nullable: true },
+            createdAt: { type: 'datetime' },
+            createdBy: { type: 'string' },
+            startedAt: { type: 'datetime', nullable: true },
+            startedBy: { type: 'string', nullable: true },
+            finishedAt: { type: 'datetime', nullable: true },
+            attempts: { type: 'integer', default: 0, validate: { isInt: { min: 0 } } },
+            maxAttempts: {
+                type: 'integer',
+                nullable: true,
+                validate: { isInt: { min: 1 } },
+                messages: {
+                    type: 'Max attempts should be a positive integer',
+                    isInt: 'Max attempts should be a positive integer',
+                },
+            },
+            nextAttemptAt: { type: 'datetime', nullable: true },
+            scheduleId: { type: 'integer', nullable: true },
+            scheduledFor: { type: 'datetime', nullable: true },
+            heartbeatAt: { type: 'datetime', nullable: true },
+            progress: {
+                type: 'integer',
+                nullable: true,
+                validate: { isInt: { min: 0, max: 100 } },
+                messages: { isInt: 'Progress should be from 0 to 100' },
+            },
+            progressMessage: { type: 'string', nullable: true },
+            cancelling: { type: 'boolean', default: false },
+            dependsOn: { type: 'integer[]', default: () => [] },
+            onParentFailure: {
+                type: 'string',
+                default: 'cancel',
+                validate: { isIn: [ this.parentFailurePolicies ] },
+                messages: { isIn: `Should be one of: ${this.parentFailurePolicies.join(', ')}` },
+            },
+            priority: { type: 'integer', default: 0 },
+            deletedAt: { type: 'datetime', nullable: true },
+            version: { type: 'integer', default: 1 },
+        };
+    }
+
+    /**
+     * Named projections
+     * @type {object}
+     */
+    static get projections() {
+        return {
+            api: [
+                'id',
+                'status',
+                'queue',
+                'script',
+                'input',
+                'output',
+                'target',
+                'scheduleStart',
+                'scheduleEnd',
+                'createdAt',
+                'createdBy',
+                'startedAt',
+                'startedBy',
+                'finishedAt',
+                'attempts',
+                'maxAttempts',
+                'nextAttemptAt',
+                'scheduleId',
+                'scheduledFor',
+                'heartbeatAt',
+                'progress',
+                'progressMessage',
+                'cancelling',
+                'dependsOn',
+                'onParentFailure',
+                'priority',
+            ],
+        };
     }
 
     /**
-     * Real finishing time setter
-     * @type {undefined|object|null}
+     * Job statuses
+     * @type {string[]}
      */
-    set finishedAt(finishedAt) {
-        this._setField('finished_at', finishedAt);
+    static get statuses() {
+        return [ 'pending', 'running', 'success', 'failure', 'expired', 'dead', 'cancelled', 'skipped' ];
     }
 
     /**
-     * Real finishing time getter
-     * @type {undefined|object|null}
+     * What a job can do when one of its parents fails:<br>
+     * 'cancel' - the job is cancelled (and so are its children unless they continue)<br>
+     * 'skip' - the job is skipped, its children run as if it succeeded<br>
+     * 'continue' - the job runs when all its parents are finished, whatever their status
+     * @type {string[]}
      */
-    get finishedAt() {
-        return this._getField('finished_at');
+    static get parentFailurePolicies() {
+        return [ 'cancel', 'skip', 'continue' ];
     }
 }
 
@@ -9,79 +9,50 @@ const Model = require('./base');
  */
 class PermissionModel extends Model {
     /**
-     * Create model
+     * Service name is 'models.permission'
+     * @type {string}
      */
-    constructor() {
-        super();
-
-        this.id = undefined;
-        this.roleId = undefined;
-        this.resource = undefined;
-        this.action = undefined;
-    }
-
-    /**
-     * ID setter
-     * @type {undefined|number}
-     */
-    set id(id) {
-        this._setField('id', id);
-    }
-
-    /**
-     * ID getter
-     * @type {undefined|number}
-     */
-    get id() {
-        return this._getField('id');
-    }
-
-    /**
-     * Role ID setter
-     * @type {undefined|number}
-     */
-    set roleId(id) {
-        this._setField('role_id', id);
-    }
-
-    /**
-     * Role ID getter
-     * @type {undefined|number}
-     */
-    get roleId() {
-        return this._getField('role_id');
+    static get provides() {
+        return 'models.permission';
     }
 
     /**
-     * Resource setter
-     * @type {undefined|string|null}
+     * DB table is 'permissions'
+     * @type {string}
      */
-    set resource(resource) {
-        this._setField('resource', resource);
+    static get table() {
+        return 'permissions';
     }
 
     /**
-     * Resource getter
-     * @type {undefined|string|null}
+     * Changes are audited
+     * @type {boolean}
      */
-    get resource() {
-        return this._getField('resource');
+    static get audited() {
+        return true;
     }
 
     /**
-     * Action setter
-     * @type {undefined|string|null}
+     * Field schema
+     * @type {object}
      */
-    set action(action) {
-        this._setField('action', action);
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            roleId: { type: 'integer' },
+            resource: { type: 'string', nullable: true },
+            action: { type: 'string', nullable: true },
+        };
     }
 
     /**
-     * Action getter
-     * @type {undefined|string|null}
+     * Relations
+     * @type {object}
      */
-    get action() {
-        return this._getField('action');
+    static get relations() {
+        return {
+            role: { type: 'belongsTo', model: 'models.role', foreignKey: 'role_id' },
+        };
     }
 }
 
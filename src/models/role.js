@@ -8,17 +8,6 @@ const Model = require('./base');
  * Role model class
  */
 class RoleModel extends Model {
-    /**
-     * Create model
-     */
-    constructor() {
-        super();
-
-        this.id = undefined;
-        this.parentId = undefined;
-        this.name = undefined;
-    }
-
     /**
      * Service name is 'models.role'
      * @type {string}
@@ -28,51 +17,66 @@ class RoleModel extends Model {
     }
 
     /**
-     * ID setter
-     * @type {undefined|number}
-     */
-    set id(id) {
-        this._setField('id', id);
-    }
-
-    /**
-     * ID getter
-     * @type {undefined|number}
+     * DB table is 'roles'
+     * @type {string}
      */
-    get id() {
-        return this._getField('id');
+    static get table() {
+        return 'roles';
     }
 
     /**
-     * Parent ID setter
-     * @type {undefined|number|null}
+     * Changes are audited
+     * @type {boolean}
      */
-    set parentId(id) {
-        this._setField('parent_id', id);
+    static get audited() {
+        return true;
     }
 
     /**
-     * Parent ID getter
-     * @type {undefined|number|null}
+     * Field schema
+     * @type {object}
      */
-    get parentId() {
-        return this._getField('parent_id');
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            parentId: { type: 'integer', nullable: true },
+            name: { type: 'string', validate: { isLength: { min: 1 } } },
+            version: { type: 'integer', default: 1 },
+        };
     }
 
     /**
-     * Name setter
-     * @type {undefined|string}
+     * Relations
+     * @type {object}
      */
-    set name(name) {
-        this._setField('name', name);
+    static get relations() {
+        return {
+            parent: { type: 'belongsTo', model: 'models.role', foreignKey: 'parent_id' },
+            children: { type: 'hasMany', model: 'models.role', foreignKey: 'parent_id' },
+            permissions: {
+                type: 'hasMany',
+                model: 'models.permission',
+                foreignKey: 'role_id',
+                cache: 'permissions-by-role-id',
+            },
+            users: {
+                type: 'manyToMany',
+                model: 'models.user',
+                through: 'user_roles',
+                key: 'role_id',
+                foreignKey: 'user_id',
+            },
+        };
     }
 
     /**
-     * Name getter
-     * @type {undefined|string}
+     * Projections: 'public' is visible to everyone
+     * @type {object}
      */
-    get name() {
-        return this._getField('name');
+    static get projections() {
+        return {
+            public: [ 'id', 'name' ],
+        };
     }
 }
 
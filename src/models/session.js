@@ -8,20 +8,6 @@ const Model = require('./base');
  * Session model class
  */
 class SessionModel extends Model {
-    /**
-     * Create model
-     */
-    constructor() {
-        super();
-
-        this.id = undefined;
-        this.userId = undefined;
-        this.payload = undefined;
-        this.info = undefined;
-        this.createdAt = undefined;
-        this.updatedAt = undefined;
-    }
-
     /**
      * Service name is 'models.session'
      * @type {string}
@@ -31,99 +17,36 @@ class SessionModel extends Model {
     }
 
     /**
-     * ID setter
-     * @type {undefined|number}
-     */
-    set id(id) {
-        this._setField('id', id);
-    }
-
-    /**
-     * ID getter
-     * @type {undefined|number}
-     */
-    get id() {
-        return this._getField('id');
-    }
-
-    /**
-     * User ID setter
-     * @type {undefined|number|null}
-     */
-    set userId(id) {
-        this._setField('user_id', id);
-    }
-
-    /**
-     * User ID getter
-     * @type {undefined|number|null}
-     */
-    get userId() {
-        return this._getField('user_id');
-    }
-
-    /**
-     * Payload setter
-     * @type {undefined|object}
-     */
-    set payload(payload) {
-        this._setField('payload', payload);
-    }
-
-    /**
-     * Payload getter
-     * @type {undefined|object}
-     */
-    get payload() {
-        return this._getField('payload');
-    }
-
-    /**
-     * Info setter
-     * @type {undefined|object}
-     */
-    set info(info) {
-        this._setField('info', info);
-    }
-
-    /**
-     * Info getter
-     * @type {undefined|object}
-     */
-    get info() {
-        return this._getField('info');
-    }
-
-    /**
-     * Creation time setter
-     * @type {undefined|object}
-     */
-    set createdAt(createdAt) {
-        this._setField('created_at', createdAt);
-    }
-
-    /**
-     * Creation time getter
-     * @type {undefined|object}
+     * DB table is 'sessions'
+     * @type {string}
      */
-    get createdAt() {
-        return this._getField('created_at');
+    static get table() {
+        return 'sessions';
     }
 
     /**
-     * Modification time setter
-     * @type {undefined|object}
+     * Field schema
+     * @type {object}
      */
-    set updatedAt(updatedAt) {
-        this._setField('updated_at', updatedAt);
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            userId: { type: 'integer', nullable: true },
+            payload: { type: 'json', default: () => ({}), hidden: true },
+            info: { type: 'json', default: () => ({}) },
+            createdAt: { type: 'datetime' },
+            updatedAt: { type: 'datetime' },
+        };
     }
 
     /**
-     * Modification time getter
-     * @type {undefined|object}
+     * Relations
+     * @type {object}
      */
-    get updatedAt() {
-        return this._getField('updated_at');
+    static get relations() {
+        return {
+            user: { type: 'belongsTo', model: 'models.user', foreignKey: 'user_id' },
+        };
     }
 }
 
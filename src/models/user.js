@@ -9,20 +9,6 @@ const Model = require('./base');
  * User model class
  */
 class UserModel extends Model {
-    /**
-     * Create model
-     */
-    constructor() {
-        super();
-
-        this.id = undefined;
-        this.name = undefined;
-        this.email = undefined;
-        this.password = undefined;
-        this.createdAt = undefined;
-        this.blockedAt = undefined;
-    }
-
     /**
      * Service name is 'models.user'
      * @type {string}
@@ -32,125 +18,102 @@ class UserModel extends Model {
     }
 
     /**
-     * Minimum password length
-     */
-    static get minPasswordLength() {
-        return 6;
-    }
-
-    /**
-     * Create hash of a password
-     * @param {string} password     The password
-     * @return {string}             Returns the hash
-     */
-    static encryptPassword(password) {
-        let salt = bcrypt.genSaltSync(10);
-        return bcrypt.hashSync(password, salt);
-    }
-
-    /**
-     * Check if password matches current user
-     * @param {string} password     Password to check
-     * @return {boolean}
-     */
-    checkPassword(password) {
-        return bcrypt.compareSync(password, this.password);
-    }
-
-    /**
-     * ID setter
-     * @type {undefined|number}
-     */
-    set id(id) {
-        this._setField('id', id);
-    }
-
-    /**
-     * ID getter
-     * @type {undefined|number}
-     */
-    get id() {
-        return this._getField('id');
-    }
-
-    /**
-     * Name setter
-     * @type {undefined|string|null}
-     */
-    set name(name) {
-        this._setField('name', name);
-    }
-
-    /**
-     * Name getter
-     * @type {undefined|string|null}
-     */
-    get name() {
-        return this._getField('name');
-    }
-
-    /**
-     * Email setter
-     * @type {undefined|string}
+     * DB table is 'users'
+     * @type {string}
      */
-    set email(email) {
-        this._setField('email', email);
+    static get table() {
+        return 'users';
     }
 
     /**
-     * Email getter
-     * @type {undefined|string}
+     * Changes are audited
+     * @type {boolean}
      */
-    get email() {
-        return this._getField('email');
+    static get audited() {
+        return true;
     }
 
     /**
-     * Password setter
-     * @type {undefined|string}
+     * Field schema
+     * @type {object}
      */
-    set password(password) {
-        this._setField('password', password);
+    static get schema() {
+        return {
+            id: { type: 'integer', generated: true },
+            name: { type: 'string', nullable: true },
+            email: {
+                type: 'string',
+                validate: { isEmail: { require_tld: false } },
+                messages: { isEmail: 'Invalid email address' },
+            },
+            password: { type: 'string', hidden: true },
+            createdAt: { type: 'datetime' },
+            blockedAt: { type: 'datetime', nullable: true },
+            deletedAt: { type: 'datetime', nullable: true },
+            version: { type: 'integer', default: 1 },
+        };
     }
 
     /**
-     * Password getter
-     * @type {undefined|string}
+     * Relations
+     * @type {object}
      */
-    get password() {
-        return this._getField('password');
+    static get relations() {
+        return {
+            roles: {
+                type: 'manyToMany',
+                model: 'models.role',
+                through: 'user_roles',
+                key: 'user_id',
+                foreignKey: 'role_id',
+                cache: 'roles-by-user-id', // shared with RoleRepository.findByUserId()
+            },
+            sessions: { type: 'hasMany', model: 'models.session', foreignKey: 'user_id' },
+        };
     }
 
     /**
-     * Creation time setter
-     * @type {undefined|object}
+     * Projections: 'public' is visible to everyone, 'admin' to the administrators
+     * @type {object}
      */
-    set createdAt(createdAt) {
-        this._setField('created_at', createdAt);
+    static get projections() {
+        return {
+            public: [ 'id', 'name', 'roles' ],
+            admin: [ 'id', 'name', 'email', 'createdAt', 'blockedAt', 'roles', 'sessions' ],
+        };
     }
 
     /**
-     * Creation time getter
-     * @type {undefined|object}
+     * Minimum password length
      */
-    get createdAt() {
-        return this._getField('created_at');
+    static get minPasswordLength() {
+        return 6;
     }
 
     /**
-     * Block time setter
-     * @type {undefined|object|null}
+     * Create hash of a password
+     * @param {string} password     The password
+     * @return {string}             Returns the hash
      */
-    set blockedAt(blockedAt) {
-        this._setField('blocked_at', blockedAt);
+    static encryptPassword(password) {
+        let salt = bcrypt.genSaltSync(10);
+        return bcrypt.hashSync(password, salt);
     }
 
     /**
-     * Block time getter
-     * @type {undefined|object|null}
+     * Check if password matches current user
+     * @param {string} password     Password to check
+     * @return {Promise}            Resolves to boolean
      */
-    get blockedAt() {
-        return this._getField('blocked_at');
+    checkPassword(password) {
+        return new Promise((resolve, reject) => {
+            bcrypt.compare(password, this.password, (error, result) => {
+                if (error)
+                    return reject(error);
+
+                resolve(result);
+            });
+        });
     }
 }
 
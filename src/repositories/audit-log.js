@@ -0,0 +1,51 @@
+/**
+ * Audit log repository
+ * @module arpen/repositories/audit-log
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Audit log repository class
+ */
+class AuditLogRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration service
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Util} util                           Util service
+     */
+    constructor(app, config, postgres, util) {
+        super(app, postgres, util);
+        this._config = config;
+
+        this._loadMethods(path.join(__dirname, 'audit-log'));
+    }
+
+    /**
+     * Service name is 'repositories.auditLog'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.auditLog';
+    }
+
+    /**
+     * Model service name is 'models.auditLog'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.auditLog';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres', 'util' ];
+    }
+}
+
+module.exports = AuditLogRepository;
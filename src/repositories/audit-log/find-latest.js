@@ -0,0 +1,55 @@
+/**
+ * AuditLogRepository.findLatest()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find the latest entries of the audit log or, with afterId, the entries following the given one
+ * @method findLatest
+ * @memberOf module:arpen/repositories/audit-log~AuditLogRepository
+ * @param {object} [options]
+ * @param {number|null} [options.afterId]   Only the first entries following this one
+ * @param {number} [options.limit=20]       Maximum number of entries
+ * @param {string} [options.table]          Only the entries of this table
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models in the order of IDs
+ */
+module.exports = function ({ afterId = null, limit = 20, table = null } = {}, reuseClient = null) {
+    return this._withClient(reuseClient, client => {
+            let query, params;
+            if (afterId === null) {
+                query =
+                    '  SELECT * ' +
+                    '    FROM ( ' +
+                    '            SELECT * ' +
+                    '              FROM audit_log ' +
+                    '             WHERE ($1::varchar IS NULL OR table_name = $1) ' +
+                    '          ORDER BY id DESC ' +
+                    '             LIMIT $2 ' +
+                    '         ) AS latest ' +
+                    'ORDER BY id ASC ';
+                params = [ table, limit ];
+            } else {
+                query =
+                    '  SELECT * ' +
+                    '    FROM audit_log ' +
+                    '   WHERE id > $1 ' +
+                    '     AND ($2::varchar IS NULL OR table_name = $2) ' +
+                    'ORDER BY id ASC ' +
+                    '   LIMIT $3 ';
+                params = [ afterId, table, limit ];
+            }
+
+            return client.query(query, params)
+                .then(result => {
+                    return result.rows.map(row => {
+                        return this.getModel(row);
+                    });
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'AuditLogRepository.findLatest()');
+        });
+};
@@ -0,0 +1,37 @@
+/**
+ * AuditLogRepository.record()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Write an entry of the audit log
+ * @method record
+ * @memberOf module:arpen/repositories/audit-log~AuditLogRepository
+ * @param {object} entry
+ * @param {string} entry.table              Table of the changed record
+ * @param {number} entry.id                 ID of the changed record
+ * @param {string} entry.action             'create', 'update', 'delete' or 'restore'
+ * @param {object} entry.changes            Changed columns: column => { old, new }
+ * @param {AuditContext} [context]          Author of the changes, this instance by default
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to ID of the entry
+ */
+module.exports = function ({ table, id, action, changes }, context = null, reuseClient = null) {
+    return Promise.resolve()
+        .then(() => {
+            let entry = this.getModel();
+            entry.tableName = table;
+            entry.rowId = id;
+            entry.action = action;
+            entry.changes = changes;
+            entry.userId = context ? context.userId : null;
+            entry.instance = context ? context.instance : this._config.instance;
+            entry.correlationId = context ? context.correlationId : null;
+            return this.save(entry, reuseClient);
+        })
+        .catch(error => {
+            throw new WError(error, 'AuditLogRepository.record()');
+        });
+};
@@ -0,0 +1,49 @@
+/**
+ * AuditLogRepository.search()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const Repository = require('../base');
+
+/**
+ * Find audit log entries by query
+ * @method search
+ * @memberOf module:arpen/repositories/audit-log~AuditLogRepository
+ * @param {object} [options]                Base Repository.search() options
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to sanitized base Repository.search() result (dates are converted
+ *                                          to a number of milliseconds since Epoch)
+ */
+module.exports = function (options, reuseClient) {
+    return Repository.prototype.search.call(
+            this,
+            Object.assign({}, options, {
+                table: 'audit_log',
+                fields: [
+                    'id',
+                    'table_name',
+                    'row_id',
+                    'action',
+                    'changes',
+                    'user_id',
+                    'instance',
+                    'correlation_id',
+                    'created_at',
+                ],
+            }),
+            reuseClient
+        )
+        .then(result => {
+            for (let row of result.data) {
+                for (let field of Object.keys(row)) {
+                    let value = row[field];
+                    if (value instanceof Date) {
+                        let utcMoment = moment(value); // db field is in UTC
+                        row[field] = moment.tz(utcMoment.format(this._postgres.constructor.datetimeFormat), 'UTC').valueOf();
+                    }
+                }
+            }
+            return result;
+        });
+};
@@ -4,10 +4,38 @@
  */
 const path = require('path');
 const fs = require('fs-ext');
-const WError = require('verror').WError;
+const moment = require('moment-timezone');
+const VError = require('verror');
+const WError = VError.WError;
 
 /**
- * Repository base class
+ * Repository base class<br>
+ * <pre>
+ * Repository of a model with static 'table' property (see Model) only has to declare the model service name in its
+ * static 'model' property to get find(), findAll(), save(), delete() and search() of the table records. Lookups by
+ * ID are cached as 'sql:<table>-by-id:<id>', the key invalidate_<table>_cache() trigger invalidates. Other cached
+ * lookups use _queryCached() with the keys of the trigger.
+ *
+ * When the model has 'version' field save() of existing model updates the record only if its version has not changed
+ * since the model was loaded and increments the version, otherwise the record was changed (or deleted) by someone
+ * else and save() rejects with 'ConflictError' which ErrorHelper reports as HTTP 409. Model without the version loaded
+ * (e.g. created with an ID only) is saved unconditionally. Other updates of the table should increment the version
+ * too, increment_version() trigger does that.
+ *
+ * When the model has 'deletedAt' field delete() only sets deleted_at of the record and restore() clears it. Finders,
+ * search() and the loaded relations skip deleted records unless 'withDeleted' or 'onlyDeleted' option is set. Deleted
+ * records stay in the cache (the update invalidates it as usual) and are filtered out when read.
+ *
+ * Changes of a model with static 'audited' property made by save(), delete() and restore() are written to audit_log
+ * table in the same transaction: the changed columns with their old and new values (values of hidden fields are
+ * replaced with '[hidden]'), the user and the instance of the repository AuditContext and its correlation ID. Other
+ * methods of the repository changing the records with their own queries log the changes with _auditUpdated() and
+ * _auditDeleted() in the same way. A repository of audited model should require 'auditContext?' and pass it to the
+ * constructor, the context is set when the repository is retrieved within a scope (e.g. req.scope).
+ *
+ * Methods of the repository (one file per method) are usually loaded with _loadMethods(), they override the generic
+ * ones and can use _withClient() to get a Postgres client.
+ * </pre>
  */
 class Repository {
     /**
@@ -15,24 +43,416 @@ class Repository {
      * @param {App} app                             The application
      * @param {Postgres} postgres                   Postgres service
      * @param {Util} util                           Util service
+     * @param {Cacher} [cacher]                     Cacher service, lookups by ID are not cached without it
+     * @param {AuditContext} [auditContext]         Author of the changes of audited models, this instance by
+     *                                              default
      */
-    constructor(app, postgres, util) {
+    constructor(app, postgres, util, cacher = null, auditContext = null) {
         this._app = app;
         this._postgres = postgres;
         this._util = util;
+        this._cacher = cacher;
+        this._auditContext = auditContext;
+    }
+
+    /**
+     * Service name of the model
+     * @type {string|null}
+     */
+    static get model() {
+        return null;
+    }
+
+    /**
+     * Table of the model
+     * @type {string}
+     */
+    get table() {
+        let table = this.getModel().constructor.table;
+        if (!table)
+            throw new Error(`Model of ${this.constructor.name} has no table`);
+        return table;
+    }
+
+    /**
+     * Fields of the model
+     * @type {string[]}
+     */
+    get fields() {
+        return Array.from(this.getModel()._fields.keys());
+    }
+
+    /**
+     * Column of the deletion time when the records are soft deleted
+     * @type {string|null}
+     */
+    get deletedColumn() {
+        let field = this.getModel().constructor.getSchema().get('deletedAt');
+        return field ? field.column : null;
+    }
+
+    /**
+     * Create a model instance
+     * @param {object} [row]                        DB row to load into the model
+     * @return {Model}                              Returns the model
+     */
+    getModel(row) {
+        if (!this.constructor.model)
+            throw new Error(`Model of ${this.constructor.name} is not defined`);
+
+        let model = this._app.get(this.constructor.model);
+        if (row)
+            this._postgres.constructor.unserializeModel(model, row);
+        return model;
+    }
+
+    /**
+     * Find a record by ID
+     * @param {number} id                           ID to search by
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @param {object} [options]
+     * @param {string[]} [options.include]          Relations to load, see load()
+     * @param {boolean} [options.withDeleted]       Include soft deleted record
+     * @param {boolean} [options.onlyDeleted]       Only soft deleted record
+     * @param {boolean} [options.cached]            Read the record from the cache, default is true. Use false when
+     *                                              the record is polled for the changes made in other processes
+     * @return {Promise}                            Resolves to array of models
+     */
+    find(id, reuseClient = null, { include = [], withDeleted = false, onlyDeleted = false, cached = true } = {}) {
+        return Promise.resolve()
+            .then(() => {
+                let query =
+                    'SELECT * ' +
+                    `  FROM ${this.table} ` +
+                    ' WHERE id = $1 ';
+
+                if (!cached) {
+                    return this._withClient(reuseClient, client => {
+                        return client.query(query, [ id ])
+                            .then(result => {
+                                return result.rows;
+                            });
+                    });
+                }
+
+                return this._queryCached(`sql:${this.table}-by-id:${id}`, query, [ id ], reuseClient);
+            })
+            .then(rows => {
+                return this.load(
+                    this._filterDeleted(
+                        rows.map(row => {
+                            return this.getModel(row);
+                        }),
+                        { withDeleted: withDeleted, onlyDeleted: onlyDeleted }
+                    ),
+                    include,
+                    reuseClient
+                );
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.find()`);
+            });
+    }
+
+    /**
+     * Find records by IDs, the records are cached as in find() and the ones not in the cache are queried at once
+     * @param {number[]} ids                        IDs to search by
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @param {object} [options]
+     * @param {string[]} [options.include]          Relations to load, see load()
+     * @param {boolean} [options.withDeleted]       Include soft deleted records
+     * @param {boolean} [options.onlyDeleted]       Only soft deleted records
+     * @return {Promise}                            Resolves to array of models in the order of the IDs, missing
+     *                                              records are omitted
+     */
+    findMany(ids, reuseClient = null, { include = [], withDeleted = false, onlyDeleted = false } = {}) {
+        return Promise.resolve()
+            .then(() => {
+                return this._queryCachedMany(
+                    `sql:${this.table}-by-id`,
+                    ids,
+                    'SELECT * ' +
+                    `  FROM ${this.table} ` +
+                    ' WHERE id = ANY($1) ',
+                    'id',
+                    reuseClient
+                );
+            })
+            .then(result => {
+                let models = [];
+                for (let id of ids) {
+                    for (let row of result.get(String(id)))
+                        models.push(this.getModel(row));
+                }
+                return this.load(
+                    this._filterDeleted(models, { withDeleted: withDeleted, onlyDeleted: onlyDeleted }),
+                    include,
+                    reuseClient
+                );
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.findMany()`);
+            });
+    }
+
+    /**
+     * Find all the records
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @param {object} [options]
+     * @param {string[]} [options.include]          Relations to load, see load()
+     * @param {boolean} [options.withDeleted]       Include soft deleted records
+     * @param {boolean} [options.onlyDeleted]       Only soft deleted records
+     * @return {Promise}                            Resolves to array of models
+     */
+    findAll(reuseClient = null, { include = [], withDeleted = false, onlyDeleted = false } = {}) {
+        return this._withClient(reuseClient, client => {
+                let where = this._whereDeleted({ withDeleted: withDeleted, onlyDeleted: onlyDeleted });
+                return client.query(
+                        '  SELECT * ' +
+                        `    FROM ${this.table} ` +
+                        (where ? `   WHERE ${where} ` : '') +
+                        'ORDER BY id ',
+                        []
+                    )
+                    .then(result => {
+                        return this.load(
+                            result.rows.map(row => {
+                                return this.getModel(row);
+                            }),
+                            include,
+                            client
+                        );
+                    });
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.findAll()`);
+            });
+    }
+
+    /**
+     * Load related models (see Model) into the models, every relation is loaded with a single query for all the
+     * models (cached records are not queried)
+     * @param {Model[]} models                      The models
+     * @param {string[]} [include]                  Relation names, relations of the related models are loaded with
+     *                                              'relation.nested' names (e.g. 'roles.permissions')
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to the models
+     */
+    load(models, include = [], reuseClient = null) {
+        if (!models.length || !include.length)
+            return Promise.resolve(models);
+
+        return Promise.resolve()
+            .then(() => {
+                let relations = this.getModel().constructor.getRelations();
+                let nested = new Map();
+                for (let item of include) {
+                    let names = item.split('.');
+                    let name = names.shift();
+                    if (!relations.has(name))
+                        throw new Error(`Unknown relation of ${this.constructor.model}: ${name}`);
+
+                    if (!nested.has(name))
+                        nested.set(name, []);
+                    if (names.length)
+                        nested.get(name).push(names.join('.'));
+                }
+
+                return Promise.all(
+                    Array.from(nested.keys()).map(name => {
+                        return this._loadRelation(models, relations.get(name), nested.get(name), reuseClient);
+                    })
+                );
+            })
+            .then(() => {
+                return models;
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.load()`);
+            });
+    }
+
+    /**
+     * Save a model: new model (without ID) is inserted, only the changed fields of existing one are updated,
+     * unchanged one is left as is
+     * @param {Model} model                         The model
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to record ID, rejects if the model is invalid (see
+     *                                              _validate()) or with 'ConflictError' if the version of the
+     *                                              record has changed
+     */
+    save(model, reuseClient = null) {
+        if (model.id && !model._dirty)
+            return Promise.resolve(model.id);
+
+        return Promise.resolve()
+            .then(() => {
+                this._validate(model);
+                return this._withClient(reuseClient, client => {
+                    let changes = model.id ? model.getChanges() : {};
+                    let version = model.constructor.getSchema().get('version') || null;
+                    let data = this._postgres.constructor.serializeModel(
+                        model,
+                        model.id ? Object.keys(changes).concat([ 'id' ]) : null
+                    );
+                    let fields = Object.keys(data)
+                        .filter(field => {
+                            return field != 'id' && !(model.id && version && field == version.column);
+                        });
+
+                    let query, params = [], expected = null;
+                    if (model.id) {
+                        query = `UPDATE ${this.table} SET `;
+                        query += fields
+                            .map(field => {
+                                params.push(data[field]);
+                                return `${field} = $${params.length}`;
+                            })
+                            .concat(version ? [ `${version.column} = ${version.column} + 1` ] : [])
+                            .join(', ');
+                        params.push(data.id);
+                        query += ` WHERE id = $${params.length}`;
+                        if (version) {
+                            expected = changes[version.column] ?
+                                changes[version.column].old :
+                                model._getField(version.column);
+                            if (typeof expected == 'undefined')
+                                expected = null; // version was not loaded, nothing to check
+                        }
+                        if (expected !== null) {
+                            params.push(expected);
+                            query += ` AND ${version.column} = $${params.length}`;
+                        }
+                    } else {
+                        query = `INSERT INTO ${this.table}(`;
+                        query += fields.join(', ');
+                        query += ') VALUES (';
+                        query += fields
+                            .map(field => {
+                                params.push(data[field]);
+                                return `$${params.length}`;
+                            })
+                            .join(', ');
+                        query += ')';
+                    }
+                    query += ' RETURNING id';
+                    if (version)
+                        query += `, ${version.column}`;
+
+                    return this._audited(client, 'save', () => {
+                        return client.query(query, params)
+                            .then(result => {
+                                let id = (result.rowCount && result.rows[0].id) || null;
+                                if (!id && expected !== null) {
+                                    throw new VError(
+                                        {
+                                            name: 'ConflictError',
+                                            info: { table: this.table, id: model.id, version: expected },
+                                        },
+                                        `${model.constructor.name} ${model.id} has been changed or deleted since ` +
+                                        `version ${expected}`
+                                    );
+                                }
+                                if (!id)
+                                    throw new Error('Unexpected error: no ID');
+
+                                let action = model.id ? 'update' : 'create';
+                                model.id = id;
+                                if (version)
+                                    model._setField(version.column, result.rows[0][version.column]);
+                                if (action == 'create') {
+                                    for (let column of model._fields.keys()) {
+                                        let value = model._getField(column);
+                                        if (value !== null && typeof value != 'undefined')
+                                            changes[column] = { old: null, new: value };
+                                    }
+                                }
+                                model.reset();
+                                return this._audit(client, action, model.id, changes);
+                            })
+                            .then(() => {
+                                return model.id;
+                            });
+                    });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.save()`);
+            });
+    }
+
+    /**
+     * Delete a record, the record of soft deleted model is marked as deleted unless permanent option is set
+     * @param {Model|number} model                  The model or its ID, the model gets the marked record loaded
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @param {object} [options]
+     * @param {boolean} [options.permanent]         Delete the record even if the model is soft deleted
+     * @return {Promise}                            Resolves to number of deleted records
+     */
+    delete(model, reuseClient = null, { permanent = false } = {}) {
+        let column = this.deletedColumn;
+        if (column && !permanent) {
+            return this._markDeleted(model, true, reuseClient)
+                .catch(error => {
+                    throw new WError(error, `${this.constructor.name}.delete()`);
+                });
+        }
+
+        return this._withClient(reuseClient, client => {
+                return this._audited(client, 'delete', () => {
+                    return client.query(
+                            'DELETE ' +
+                            `  FROM ${this.table} ` +
+                            ' WHERE id = $1 ' +
+                            'RETURNING * ',
+                            [ typeof model == 'object' ? model.id : model ]
+                        )
+                        .then(result => {
+                            return this._auditDeleted(client, result.rows)
+                                .then(() => {
+                                    return result.rowCount;
+                                });
+                        });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.delete()`);
+            });
+    }
+
+    /**
+     * Restore soft deleted record
+     * @param {Model|number} model                  The model or its ID, the model gets the restored record loaded
+     * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to number of restored records
+     */
+    restore(model, reuseClient = null) {
+        return Promise.resolve()
+            .then(() => {
+                if (!this.deletedColumn)
+                    throw new Error(`Model of ${this.constructor.name} is not soft deleted`);
+
+                return this._markDeleted(model, false, reuseClient);
+            })
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.restore()`);
+            });
     }
 
     /**
      * Search repository
-     * @param {string} table                        Table or view name
-     * @param {string[]} fields                     Fields to retrieve
      * @param {object} [options]
+     * @param {string} [options.table]              Table or view name, the model table by default
+     * @param {string[]} [options.fields]           Fields to retrieve, the model fields by default
      * @param {string[]} [options.where]            SQL WHERE clause: will be joined with 'AND'
      * @param {Array} [options.params]              Bound parameters (referenced as $1, $2, ... in SQL)
      * @param {string} [options.sortKey=null]       Used in ORDER BY if provided
      * @param {string} [options.sortOrder='asc']    Used in ORDER BY if provided with sort_key
      * @param {number} [options.pageSize=0]         Used in LIMIT, 0 = all records
      * @param {number} [options.pageNumber=1]       Used in OFFSET
+     * @param {boolean} [options.withDeleted=false] Include soft deleted records (the table or view should have
+     *                                              the deleted_at column of the model)
+     * @param {boolean} [options.onlyDeleted=false] Only soft deleted records
      * @param {PostgresClient} [reuseClient]        Postgres client to use (will create a new one otherwise)
      * @return {Promise}                            Returns promise resolving to the following:
      * <pre>
@@ -48,65 +468,536 @@ class Repository {
      * </pre>
      */
     search(
-        table,
-        fields,
         {
+            table = null,
+            fields = null,
             where = [],
             params = [],
             sortKey = null,
             sortOrder = 'asc',
             pageSize = 0,
-            pageNumber = 1
+            pageNumber = 1,
+            withDeleted = false,
+            onlyDeleted = false
         } = {},
         reuseClient = null
     ) {
         return Promise.resolve()
             .then(() => {
-                if (reuseClient)
-                    return reuseClient;
+                if (!table)
+                    table = this.table;
+                if (!fields)
+                    fields = this.fields;
 
-                return this._postgres.connect();
+                let deleted = this._whereDeleted({ withDeleted: withDeleted, onlyDeleted: onlyDeleted });
+                if (deleted)
+                    where = where.concat([ deleted ]);
+
+                return this._withClient(reuseClient, client => {
+                    return client.query(
+                            'SELECT count(*)::int AS count ' +
+                            `  FROM ${table} ` +
+                            (where.length ? ' WHERE ' + where.join(' AND ') : ''),
+                            params
+                        )
+                        .then(result => {
+                            let totalRows = result.rowCount ? result.rows[0].count : 0;
+                            let totalPages;
+                            if (totalRows === 0 || pageSize === 0) {
+                                totalPages = 1;
+                                pageNumber = 1;
+                            } else {
+                                totalPages = Math.floor(totalRows / pageSize) + (totalRows % pageSize ? 1 : 0);
+                                if (pageNumber > totalPages)
+                                    pageNumber = totalPages;
+                            }
+
+                            let offset = (pageNumber - 1) * pageSize;
+                            return client.query(
+                                    'SELECT ' + fields.join(', ') +
+                                    `  FROM ${table} ` +
+                                    (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+                                    (sortKey ? ` ORDER BY ${sortKey} ${sortOrder}` : '') +
+                                    (offset > 0 ? ` OFFSET ${offset} ` : '') +
+                                    (pageSize > 0 ? ` LIMIT ${pageSize} ` : ''),
+                                    params
+                                )
+                                .then(result => {
+                                    return {
+                                        totalRows: totalRows,
+                                        totalPages: totalPages,
+                                        pageSize: pageSize,
+                                        pageNumber: pageNumber,
+                                        sortKey: sortKey,
+                                        sortOrder: sortOrder,
+                                        data: result.rows,
+                                    };
+                                });
+                        });
+                });
             })
-            .then(client => {
+            .catch(error => {
+                throw new WError(error, `${this.constructor.name}.search()`);
+            });
+    }
+
+    /**
+     * Validate a model before it is written
+     * @param {Model} model                         The model
+     * @throw {VError}                              Throws 'ValidationError' with 'fields' of Model.validate() in its
+     *                                              info if the model is invalid
+     */
+    _validate(model) {
+        let errors = model.validate();
+        if (errors) {
+            throw new VError(
+                { name: 'ValidationError', info: { fields: errors } },
+                `Invalid ${model.constructor.name}: ${Object.keys(errors).join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Skip soft deleted models
+     * @param {Model[]} models                      The models
+     * @param {object} [options]
+     * @param {boolean} [options.withDeleted]       Keep all the models
+     * @param {boolean} [options.onlyDeleted]       Keep deleted models only
+     * @return {Model[]}                            Returns filtered models
+     */
+    _filterDeleted(models, { withDeleted = false, onlyDeleted = false } = {}) {
+        let column = this.deletedColumn;
+        if (!column || (withDeleted && !onlyDeleted))
+            return models;
+
+        return models.filter(model => {
+            return (model._getField(column) !== null) === onlyDeleted;
+        });
+    }
+
+    /**
+     * SQL condition skipping soft deleted records
+     * @param {object} [options]
+     * @param {boolean} [options.withDeleted]       No condition
+     * @param {boolean} [options.onlyDeleted]       Deleted records only
+     * @param {string} [alias]                      Table alias to qualify the column with
+     * @return {string|null}                        Returns the condition or null
+     */
+    _whereDeleted({ withDeleted = false, onlyDeleted = false } = {}, alias = null) {
+        let column = this.deletedColumn;
+        if (!column || (withDeleted && !onlyDeleted))
+            return null;
+
+        return `${alias ? alias + '.' : ''}${column} IS ${onlyDeleted ? 'NOT ' : ''}NULL`;
+    }
+
+    /**
+     * Set or clear deletion time of soft deleted record
+     * @param {Model|number} model                  The model or its ID, the model gets the updated record loaded
+     * @param {boolean} deleted                     Mark as deleted or restore
+     * @param {PostgresClient|null} reuseClient     Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to number of updated records
+     */
+    _markDeleted(model, deleted, reuseClient) {
+        let column = this.deletedColumn;
+        return this._withClient(reuseClient, client => {
+            return this._audited(client, deleted ? 'delete' : 'restore', () => {
                 return client.query(
-                        'SELECT count(*)::int AS count ' +
-                        `  FROM ${table} ` +
-                        (where.length ? ' WHERE ' + where.join(' AND ') : ''),
-                        params
+                        `UPDATE ${this.table} ` +
+                        `   SET ${column} = $2 ` +
+                        '  FROM ( ' +
+                        `         SELECT id, ${column} ` +
+                        `           FROM ${this.table} ` +
+                        '          WHERE id = $1 ' +
+                        '       ) AS previous ' +
+                        ` WHERE ${this.table}.id = previous.id ` +
+                        `   AND ${this.table}.${column} IS ${deleted ? '' : 'NOT '}NULL ` +
+                        `RETURNING ${this.table}.*, previous.${column} AS previous_${column} `,
+                        [ typeof model == 'object' ? model.id : model, deleted ? moment() : null ]
                     )
                     .then(result => {
-                        let totalRows = result.rowCount ? result.rows[0].count : 0;
-                        let totalPages;
-                        if (totalRows === 0 || pageSize === 0) {
-                            totalPages = 1;
-                            pageNumber = 1;
-                        } else {
-                            totalPages = Math.floor(totalRows / pageSize) + (totalRows % pageSize ? 1 : 0);
-                            if (pageNumber > totalPages)
-                                pageNumber = totalPages;
-                        }
+                        if (!result.rowCount)
+                            return 0;
 
-                        let offset = (pageNumber - 1) * pageSize;
-                        return client.query(
-                                'SELECT ' + fields.join(', ') +
-                                `  FROM ${table} ` +
-                                (where.length ? ' WHERE ' + where.join(' AND ') : '') +
-                                (sortKey ? ` ORDER BY ${sortKey} ${sortOrder}` : '') +
-                                (offset > 0 ? ` OFFSET ${offset} ` : '') +
-                                (pageSize > 0 ? ` LIMIT ${pageSize} ` : ''),
-                                params
-                            )
-                            .then(result => {
-                                return {
-                                    totalRows: totalRows,
-                                    totalPages: totalPages,
-                                    pageSize: pageSize,
-                                    pageNumber: pageNumber,
-                                    sortLey: sortKey,
-                                    sortOrder: sortOrder,
-                                    data: result.rows,
+                        let updated = this.getModel(result.rows[0]);
+                        if (typeof model == 'object')
+                            this._postgres.constructor.unserializeModel(model, result.rows[0]);
+
+                        let previous = this.getModel();
+                        this._postgres.constructor.unserializeModel(
+                            previous,
+                            { [column]: result.rows[0][`previous_${column}`] }
+                        );
+                        let changes = {
+                            [column]: { old: previous._getField(column), new: updated._getField(column) },
+                        };
+                        return this._audit(client, deleted ? 'delete' : 'restore', updated.id, changes)
+                            .then(() => {
+                                return result.rowCount;
+                            });
+                    });
+            });
+        });
+    }
+
+    /**
+     * Run a write in a transaction with its audit log entry (see _audit()) when the model is audited
+     * @param {PostgresClient} client               Postgres client
+     * @param {string} name                         Name of the method for the transaction name
+     * @param {function} callback                   Function returning a Promise
+     * @return {Promise}                            Resolves to the result of the callback
+     */
+    _audited(client, name, callback) {
+        if (!this.getModel().constructor.audited)
+            return callback();
+
+        return client.transaction(
+            { name: `${this.constructor.name}.${name}`, isolation: 'read committed' },
+            () => {
+                return callback();
+            }
+        );
+    }
+
+    /**
+     * Write audit log entry of a record when the model is audited
+     * @param {PostgresClient} client               Postgres client
+     * @param {string} action                       'create', 'update', 'delete' or 'restore'
+     * @param {number} id                           ID of the record
+     * @param {object} changes                      Changed columns: column => { old, new }
+     * @return {Promise}
+     */
+    _audit(client, action, id, changes) {
+        let model = this.getModel().constructor;
+        if (!model.audited)
+            return Promise.resolve();
+
+        let hidden = new Set();
+        for (let field of model.getSchema().values()) {
+            if (field.hidden)
+                hidden.add(field.column);
+        }
+
+        let logged = {};
+        for (let column of Object.keys(changes)) {
+            if (!hidden.has(column)) {
+                logged[column] = changes[column];
+                continue;
+            }
+
+            logged[column] = {};
+            for (let key of [ 'old', 'new' ])
+                logged[column][key] = changes[column][key] === null ? null : '[hidden]';
+        }
+
+        return this._app.get('repositories.auditLog')
+            .record({ table: this.table, id: id, action: action, changes: logged }, this._auditContext, client)
+            .then(() => {
+                return undefined;
+            });
+    }
+
+    /**
+     * Write audit log entries of the records updated by a query of the repository when the model is audited (see
+     * _audit()). The rows should have the updated columns and their previous values as previous_<column>, the columns
+     * which have not changed are not logged
+     * @param {PostgresClient} client               Postgres client
+     * @param {object[]} rows                       The updated rows
+     * @param {string[]} columns                    The updated columns
+     * @return {Promise}
+     */
+    _auditUpdated(client, rows, columns) {
+        if (!this.getModel().constructor.audited)
+            return Promise.resolve();
+
+        return rows.reduce(
+            (prev, row) => {
+                return prev.then(() => {
+                    let updated = this.getModel(row);
+                    let previous = this.getModel();
+                    let data = {};
+                    for (let column of columns)
+                        data[column] = row[`previous_${column}`];
+                    this._postgres.constructor.unserializeModel(previous, data);
+
+                    let changes = {};
+                    for (let column of columns) {
+                        let oldValue = previous._getField(column);
+                        let newValue = updated._getField(column);
+                        if (JSON.stringify(oldValue) !== JSON.stringify(newValue))
+                            changes[column] = { old: oldValue, new: newValue };
+                    }
+                    if (!Object.keys(changes).length)
+                        return;
+
+                    return this._audit(client, 'update', updated.id, changes);
+                });
+            },
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * Write audit log entries of the records deleted by a query of the repository when the model is audited (see
+     * _audit()), all the columns which were set are logged
+     * @param {PostgresClient} client               Postgres client
+     * @param {object[]} rows                       The deleted rows
+     * @return {Promise}
+     */
+    _auditDeleted(client, rows) {
+        if (!this.getModel().constructor.audited)
+            return Promise.resolve();
+
+        return rows.reduce(
+            (prev, row) => {
+                return prev.then(() => {
+                    let deleted = this.getModel(row);
+                    let changes = {};
+                    for (let column of deleted._fields.keys()) {
+                        let value = deleted._getField(column);
+                        if (value !== null && typeof value != 'undefined')
+                            changes[column] = { old: value, new: null };
+                    }
+                    return this._audit(client, 'delete', deleted.id, changes);
+                });
+            },
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * Load a relation into the models
+     * @param {Model[]} models                      The models
+     * @param {object} relation                     Compiled relation definition (see Model.getRelations())
+     * @param {string[]} include                    Relations to load into the related models
+     * @param {PostgresClient|null} reuseClient     Postgres client to use (will create a new one otherwise)
+     * @return {Promise}
+     */
+    _loadRelation(models, relation, include, reuseClient) {
+        let repo = this._app.get(relation.repository);
+        let ids;
+
+        switch (relation.type) {
+            case 'belongsTo':
+                ids = new Set();
+                for (let model of models) {
+                    let id = model._getField(relation.foreignKey);
+                    if (id !== null && typeof id != 'undefined')
+                        ids.add(id);
+                }
+                return repo.findMany(Array.from(ids), reuseClient, { include: include })
+                    .then(related => {
+                        let byId = new Map();
+                        for (let item of related)
+                            byId.set(String(item.id), item);
+                        for (let model of models)
+                            model[relation.name] = byId.get(String(model._getField(relation.foreignKey))) || null;
+                    });
+            case 'hasMany':
+                ids = Array.from(new Set(models.map(model => model.id)));
+                return repo._queryCachedMany(
+                        relation.cache && `sql:${relation.cache}`,
+                        ids,
+                        '  SELECT * ' +
+                        `    FROM ${repo.table} ` +
+                        `   WHERE ${relation.foreignKey} = ANY($1) ` +
+                        'ORDER BY id ',
+                        relation.foreignKey,
+                        reuseClient
+                    )
+                    .then(result => {
+                        let related = [];
+                        let toModel = row => {
+                            return repo.getModel(row);
+                        };
+                        for (let model of models) {
+                            model[relation.name] = repo._filterDeleted(result.get(String(model.id)).map(toModel));
+                            related = related.concat(model[relation.name]);
+                        }
+                        return repo.load(related, include, reuseClient);
+                    });
+            case 'manyToMany':
+                ids = Array.from(new Set(models.map(model => model.id)));
+                return this._queryCachedMany(
+                        relation.cache && `sql:${relation.cache}`,
+                        ids,
+                        `  SELECT ${relation.key}, ${relation.foreignKey} ` +
+                        `    FROM ${relation.through} ` +
+                        `   WHERE ${relation.key} = ANY($1) ` +
+                        `ORDER BY ${relation.foreignKey} `,
+                        relation.key,
+                        reuseClient
+                    )
+                    .then(result => {
+                        let relatedIds = new Set();
+                        for (let rows of result.values()) {
+                            for (let row of rows)
+                                relatedIds.add(row[relation.foreignKey]);
+                        }
+                        return repo.findMany(Array.from(relatedIds), reuseClient, { include: include })
+                            .then(related => {
+                                let byId = new Map();
+                                for (let item of related)
+                                    byId.set(String(item.id), item);
+                                let toModel = row => {
+                                    return byId.get(String(row[relation.foreignKey]));
+                                };
+                                let exists = item => {
+                                    return !!item;
                                 };
+                                for (let model of models)
+                                    model[relation.name] = result.get(String(model.id)).map(toModel).filter(exists);
                             });
+                    });
+        }
+    }
+
+    /**
+     * Run a query and cache the rows, empty result is not cached. The key should be the one the SQL trigger of the
+     * table invalidates
+     * @param {string} key                          Cache key
+     * @param {string} sql                          The query
+     * @param {Array} params                        Bound parameters
+     * @param {PostgresClient|null} reuseClient     Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to array of rows
+     */
+    _queryCached(key, sql, params, reuseClient) {
+        return this._getCached(key)
+            .then(rows => {
+                if (rows)
+                    return rows;
+
+                return this._withClient(reuseClient, client => {
+                    return client.query(sql, params)
+                        .then(result => {
+                            let rows = result.rowCount ? result.rows : [];
+                            return this._setCached(key, rows)
+                                .then(() => {
+                                    return rows;
+                                });
+                        });
+                });
+            });
+    }
+
+    /**
+     * Batched version of _queryCached(): rows of every value are cached as '<prefix>:<value>', the values which are
+     * not in the cache are queried at once
+     * @param {string|null} prefix                  Cache key prefix, null to run the query without the cache
+     * @param {Array} values                        The values
+     * @param {string} sql                          The query, values not in the cache are its $1 parameter
+     * @param {string} column                       Column of the rows holding the value
+     * @param {PostgresClient|null} reuseClient     Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                            Resolves to Map of value (as string) => array of rows
+     */
+    _queryCachedMany(prefix, values, sql, column, reuseClient) {
+        let result = new Map();
+        return Promise.all(
+                values.map(value => {
+                    return prefix ? this._getCached(`${prefix}:${value}`) : null;
+                })
+            )
+            .then(cached => {
+                let missing = [];
+                for (let i = 0; i < values.length; i++) {
+                    if (cached[i])
+                        result.set(String(values[i]), cached[i]);
+                    else
+                        missing.push(values[i]);
+                }
+                if (!missing.length)
+                    return;
+
+                return this._withClient(reuseClient, client => {
+                    return client.query(sql, [ missing ])
+                        .then(queried => {
+                            for (let value of missing)
+                                result.set(String(value), []);
+                            for (let row of queried.rows) {
+                                let rows = result.get(String(row[column]));
+                                if (rows)
+                                    rows.push(row);
+                            }
+
+                            if (!prefix)
+                                return;
+
+                            return Promise.all(
+                                missing.map(value => {
+                                    return this._setCached(`${prefix}:${value}`, result.get(String(value)));
+                                })
+                            );
+                        });
+                });
+            })
+            .then(() => {
+                return result;
+            });
+    }
+
+    /**
+     * Get rows from the cache, date columns are restored (the cache stores JSON)
+     * @param {string} key                          Cache key
+     * @return {Promise}                            Resolves to array of rows or null if they are not cached
+     */
+    _getCached(key) {
+        if (!this._cacher)
+            return Promise.resolve(null);
+
+        return this._cacher.get(key)
+            .then(value => {
+                if (!value)
+                    return null;
+
+                for (let row of value.rows) {
+                    for (let field of value.dates) {
+                        if (row[field] !== null)
+                            row[field] = new Date(row[field]);
+                    }
+                }
+                return value.rows;
+            });
+    }
+
+    /**
+     * Put rows in the cache, empty arrays are not cached
+     * @param {string} key                          Cache key
+     * @param {object[]} rows                       The rows
+     * @return {Promise}
+     */
+    _setCached(key, rows) {
+        if (!this._cacher || !rows.length)
+            return Promise.resolve();
+
+        let dates = new Set();
+        for (let row of rows) {
+            for (let field of Object.keys(row)) {
+                if (row[field] instanceof Date)
+                    dates.add(field);
+            }
+        }
+        return this._cacher.set(key, { rows: rows, dates: Array.from(dates) });
+    }
+
+    /**
+     * Run a callback with Postgres client
+     * @param {PostgresClient|null} reuseClient     Postgres client to use (will create a new one otherwise)
+     * @param {function} callback                   Receives the client and returns a Promise
+     * @return {Promise}                            Resolves to the result of the callback, the created client is
+     *                                              released when it is settled
+     */
+    _withClient(reuseClient, callback) {
+        return Promise.resolve()
+            .then(() => {
+                if (reuseClient)
+                    return reuseClient;
+
+                return this._postgres.connect();
+            })
+            .then(client => {
+                return Promise.resolve()
+                    .then(() => {
+                        return callback(client);
                     })
                     .then(
                         value => {
@@ -120,9 +1011,6 @@ class Repository {
                             throw error;
                         }
                     );
-            })
-            .catch(error => {
-                throw new WError(error, 'Repository.search()');
             });
     }
 
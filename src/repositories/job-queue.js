@@ -0,0 +1,44 @@
+/**
+ * Job queue repository
+ * @module arpen/repositories/job-queue
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Job queue repository class
+ */
+class JobQueueRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration service
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     */
+    constructor(app, config, postgres, cacher, util) {
+        super(app, postgres, util, cacher);
+        this._config = config;
+
+        this._loadMethods(path.join(__dirname, 'job-queue'));
+    }
+
+    /**
+     * Service name is 'repositories.jobQueue'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.jobQueue';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres', 'cacher', 'util' ];
+    }
+}
+
+module.exports = JobQueueRepository;
@@ -0,0 +1,50 @@
+/**
+ * JobQueueRepository.delete()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Delete job queue settings
+ * @method delete
+ * @memberOf module:arpen/repositories/job-queue~JobQueueRepository
+ * @param {JobQueueModel} queue             Job queue model
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of deleted records
+ */
+module.exports = function (queue, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'DELETE ' +
+                    '  FROM job_queues ' +
+                    ' WHERE name = $1 ',
+                    [ queue.name ]
+                )
+                .then(result => {
+                    return result.rowCount;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobQueueRepository.delete()');
+        });
+};
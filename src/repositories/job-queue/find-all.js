@@ -1,14 +1,14 @@
 /**
- * JobRepository.findAll()
+ * JobQueueRepository.findAll()
  */
 'use strict';
 
 const WError = require('verror').WError;
 
 /**
- * Find all jobs
+ * Find all job queues settings
  * @method findAll
- * @memberOf module:arpen/repositories/job~JobRepository
+ * @memberOf module:arpen/repositories/job-queue~JobQueueRepository
  * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
  * @return {Promise}                        Resolves to array of models
  */
@@ -22,8 +22,9 @@ module.exports = function (reuseClient) {
         })
         .then(client => {
             return client.query(
-                    'SELECT * ' +
-                    '  FROM jobs ',
+                    '  SELECT * ' +
+                    '    FROM job_queues ' +
+                    'ORDER BY name ',
                     []
                 )
                 .then(result => {
@@ -43,16 +44,16 @@ module.exports = function (reuseClient) {
                 );
         })
         .then(rows => {
-            let jobs = [];
+            let queues = [];
             for (let row of rows) {
-                let job = this._app.get('models.job');
-                this._postgres.constructor.unserializeModel(job, row);
-                jobs.push(job);
+                let queue = this._app.get('models.jobQueue');
+                this._postgres.constructor.unserializeModel(queue, row);
+                queues.push(queue);
             }
 
-            return jobs;
+            return queues;
         })
         .catch(error => {
-            throw new WError(error, 'JobRepository.findAll()');
+            throw new WError(error, 'JobQueueRepository.findAll()');
         });
 };
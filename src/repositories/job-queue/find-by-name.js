@@ -0,0 +1,60 @@
+/**
+ * JobQueueRepository.findByName()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find job queue settings by queue name
+ * @method findByName
+ * @memberOf module:arpen/repositories/job-queue~JobQueueRepository
+ * @param {string} name                     Name to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (name, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'SELECT * ' +
+                    '  FROM job_queues ' +
+                    ' WHERE name = $1 ',
+                    [ name ]
+                )
+                .then(result => {
+                    return result.rowCount ? result.rows : [];
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .then(rows => {
+            let queues = [];
+            for (let row of rows) {
+                let queue = this._app.get('models.jobQueue');
+                this._postgres.constructor.unserializeModel(queue, row);
+                queues.push(queue);
+            }
+
+            return queues;
+        })
+        .catch(error => {
+            throw new WError(error, 'JobQueueRepository.findByName()');
+        });
+};
@@ -0,0 +1,37 @@
+/**
+ * JobQueueRepository.getLimits()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Get concurrency limits of a queue: job_queues table entry if there is one, otherwise jobs.queues.<name>
+ * configuration, otherwise one running job at a time
+ * @method getLimits
+ * @memberOf module:arpen/repositories/job-queue~JobQueueRepository
+ * @param {string} name                     Queue name
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to { concurrency, targetConcurrency }, targetConcurrency is
+ *                                          null when running jobs per server instance are not limited
+ */
+module.exports = function (name, reuseClient) {
+    return this.findByName(name, reuseClient)
+        .then(queues => {
+            if (queues.length) {
+                return {
+                    concurrency: queues[0].concurrency,
+                    targetConcurrency: queues[0].targetConcurrency,
+                };
+            }
+
+            let config = (this._config.get('jobs.queues') || {})[name] || {};
+            return {
+                concurrency: config.concurrency || 1,
+                targetConcurrency: config.target_concurrency || null,
+            };
+        })
+        .catch(error => {
+            throw new WError(error, 'JobQueueRepository.getLimits()');
+        });
+};
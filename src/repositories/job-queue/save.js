@@ -0,0 +1,61 @@
+/**
+ * JobQueueRepository.save()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Save job queue settings (inserted or updated by the queue name)
+ * @method save
+ * @memberOf module:arpen/repositories/job-queue~JobQueueRepository
+ * @param {JobQueueModel} queue             Job queue model
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to queue name, rejects if the model is invalid
+ */
+module.exports = function (queue, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            this._validate(queue);
+
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'INSERT ' +
+                    '  INTO job_queues(name, concurrency, target_concurrency) ' +
+                    'VALUES ($1, $2, $3) ' +
+                    '    ON CONFLICT (name) DO UPDATE ' +
+                    '   SET concurrency = EXCLUDED.concurrency, ' +
+                    '       target_concurrency = EXCLUDED.target_concurrency ' +
+                    'RETURNING name ',
+                    [
+                        queue.name,
+                        queue.concurrency,
+                        queue.targetConcurrency,
+                    ]
+                )
+                .then(result => {
+                    queue.reset();
+                    return result.rows[0].name;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobQueueRepository.save()');
+        });
+};
@@ -0,0 +1,52 @@
+/**
+ * Job schedule repository
+ * @module arpen/repositories/job-schedule
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Job schedule repository class
+ */
+class JobScheduleRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration service
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     */
+    constructor(app, config, postgres, cacher, util) {
+        super(app, postgres, util, cacher);
+        this._config = config;
+
+        this._loadMethods(path.join(__dirname, 'job-schedule'));
+    }
+
+    /**
+     * Service name is 'repositories.jobSchedule'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.jobSchedule';
+    }
+
+    /**
+     * Model service name is 'models.jobSchedule'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.jobSchedule';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres', 'cacher', 'util' ];
+    }
+}
+
+module.exports = JobScheduleRepository;
@@ -0,0 +1,60 @@
+/**
+ * JobScheduleRepository.findByName()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find a job schedule by name
+ * @method findByName
+ * @memberOf module:arpen/repositories/job-schedule~JobScheduleRepository
+ * @param {string} name                     Name to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (name, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'SELECT * ' +
+                    '  FROM job_schedules ' +
+                    ' WHERE name = $1 ',
+                    [ name ]
+                )
+                .then(result => {
+                    return result.rowCount ? result.rows : [];
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .then(rows => {
+            let schedules = [];
+            for (let row of rows) {
+                let schedule = this._app.get('models.jobSchedule');
+                this._postgres.constructor.unserializeModel(schedule, row);
+                schedules.push(schedule);
+            }
+
+            return schedules;
+        })
+        .catch(error => {
+            throw new WError(error, 'JobScheduleRepository.findByName()');
+        });
+};
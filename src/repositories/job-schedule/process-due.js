@@ -0,0 +1,132 @@
+/**
+ * JobScheduleRepository.processDue()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Create jobs of the due schedule occurrences.<br>
+ * Due schedules are locked (the ones locked by other instances are skipped) and every occurrence is inserted once
+ * only thanks to the unique (schedule_id, scheduled_for) key. Missed occurrences are not caught up: one job is created
+ * and the next occurrence is calculated from now. A schedule without next occurrence time (new or resumed one) gets it
+ * calculated without creating a job. Schedules with invalid cron expression or timezone and the ones which never occur
+ * again are paused.
+ * @method processDue
+ * @memberOf module:arpen/repositories/job-schedule~JobScheduleRepository
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to { jobs: [ created job IDs ], invalid: [ paused schedules ] }
+ */
+module.exports = function (reuseClient) {
+    let cron = this._app.get('cron');
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.transaction({ name: 'JobScheduleRepository.processDue', isolation: 'read committed' }, rollback => {
+                    let now = moment();
+                    let returnValue = { jobs: [], invalid: [] };
+
+                    return client.query(
+                            '    SELECT * ' +
+                            '      FROM job_schedules ' +
+                            '     WHERE paused = false ' +
+                            '       AND (next_run_at IS NULL OR next_run_at <= $1) ' +
+                            '  ORDER BY id ASC ' +
+                            'FOR UPDATE SKIP LOCKED ',
+                            [ now ]
+                        )
+                        .then(result => {
+                            return result.rows.reduce(
+                                (prev, row) => {
+                                    return prev.then(() => {
+                                        let schedule = this._app.get('models.jobSchedule');
+                                        this._postgres.constructor.unserializeModel(schedule, row);
+
+                                        let timezone = schedule.timezone || this._config.get('jobs.timezone') || undefined;
+                                        let nextRunAt = null;
+                                        if (cron.isValid(schedule.cron) && (!timezone || moment.tz.zone(timezone)))
+                                            nextRunAt = cron.next(schedule.cron, now.clone(), timezone);
+                                        if (!nextRunAt) {
+                                            returnValue.invalid.push(schedule);
+                                            return client.query(
+                                                'UPDATE job_schedules ' +
+                                                '   SET paused = true, ' +
+                                                '       next_run_at = NULL ' +
+                                                ' WHERE id = $1 ',
+                                                [ schedule.id ]
+                                            );
+                                        }
+
+                                        if (!schedule.nextRunAt) {
+                                            return client.query(
+                                                'UPDATE job_schedules ' +
+                                                '   SET next_run_at = $1 ' +
+                                                ' WHERE id = $2 ',
+                                                [ nextRunAt, schedule.id ]
+                                            );
+                                        }
+
+                                        return client.query(
+                                                'INSERT ' +
+                                                '  INTO jobs(status, queue, script, input, output, target, created_at, ' +
+                                                '            created_by, max_attempts, schedule_id, scheduled_for) ' +
+                                                "VALUES ('pending', $1, $2, $3, '{}', $4, $5, $6, $7, $8, $9) " +
+                                                '    ON CONFLICT (schedule_id, scheduled_for) DO NOTHING ' +
+                                                'RETURNING id ',
+                                                [
+                                                    schedule.queue,
+                                                    schedule.script,
+                                                    JSON.stringify(schedule.input),
+                                                    schedule.target,
+                                                    now.clone(),
+                                                    this._config.instance,
+                                                    schedule.maxAttempts,
+                                                    schedule.id,
+                                                    schedule.nextRunAt.clone(),
+                                                ]
+                                            )
+                                            .then(result => {
+                                                if (result.rowCount)
+                                                    returnValue.jobs.push(parseInt(result.rows[0].id, 10));
+
+                                                return client.query(
+                                                    'UPDATE job_schedules ' +
+                                                    '   SET last_run_at = $1, ' +
+                                                    '       next_run_at = $2 ' +
+                                                    ' WHERE id = $3 ',
+                                                    [ schedule.nextRunAt.clone(), nextRunAt, schedule.id ]
+                                                );
+                                            });
+                                    });
+                                },
+                                Promise.resolve()
+                            );
+                        })
+                        .then(() => {
+                            return returnValue;
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobScheduleRepository.processDue()');
+        });
+};
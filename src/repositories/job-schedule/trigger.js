@@ -0,0 +1,66 @@
+/**
+ * JobScheduleRepository.trigger()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Create a job of the schedule right now, out of its cron timetable
+ * @method trigger
+ * @memberOf module:arpen/repositories/job-schedule~JobScheduleRepository
+ * @param {JobScheduleModel} schedule       Job schedule model
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to ID of the created job
+ */
+module.exports = function (schedule, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'INSERT ' +
+                    '  INTO jobs(status, queue, script, input, output, target, created_at, created_by, max_attempts, ' +
+                    '            schedule_id) ' +
+                    "VALUES ('pending', $1, $2, $3, '{}', $4, $5, $6, $7, $8) " +
+                    'RETURNING id ',
+                    [
+                        schedule.queue,
+                        schedule.script,
+                        JSON.stringify(schedule.input),
+                        schedule.target,
+                        moment(),
+                        this._config.instance,
+                        schedule.maxAttempts,
+                        schedule.id,
+                    ]
+                )
+                .then(result => {
+                    let id = (result.rowCount && parseInt(result.rows[0].id, 10)) || null;
+                    if (!id)
+                        throw new Error('Unexpected error: no ID');
+
+                    return id;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobScheduleRepository.trigger()');
+        });
+};
@@ -16,11 +16,13 @@ class JobRepository extends Repository {
      * @param {Postgres} postgres                   Postgres service
      * @param {Cacher} cacher                       Cacher service
      * @param {Util} util                           Util service
+     * @param {JobQueueRepository} jobQueueRepo     Job queue repository
+     * @param {AuditContext} [auditContext]         Audit context of the scope
      */
-    constructor(app, config, postgres, cacher, util) {
-        super(app, postgres, util);
+    constructor(app, config, postgres, cacher, util, jobQueueRepo, auditContext) {
+        super(app, postgres, util, cacher, auditContext);
         this._config = config;
-        this._cacher = cacher;
+        this._jobQueueRepo = jobQueueRepo;
 
         this._loadMethods(path.join(__dirname, 'job'));
     }
@@ -33,12 +35,20 @@ class JobRepository extends Repository {
         return 'repositories.job';
     }
 
+    /**
+     * Model service name is 'models.job'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.job';
+    }
+
     /**
      * Dependencies as constructor arguments
      * @type {string[]}
      */
     static get requires() {
-        return [ 'app', 'config', 'postgres', 'cacher', 'util' ];
+        return [ 'app', 'config', 'postgres', 'cacher', 'util', 'repositories.jobQueue', 'auditContext?' ];
     }
 }
 
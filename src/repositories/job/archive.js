@@ -0,0 +1,73 @@
+/**
+ * JobRepository.archive()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Move finished jobs to jobs_archive table (the whole record is kept in its data column)
+ * @method archive
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number[]} ids                    IDs of the jobs
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of archived jobs
+ */
+module.exports = function (ids, reuseClient) {
+    if (!ids.length)
+        return Promise.resolve(0);
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.transaction({ name: 'JobRepository.archive', isolation: 'read committed' }, rollback => {
+                    return client.query(
+                            'INSERT ' +
+                            '  INTO jobs_archive(id, status, queue, script, created_at, finished_at, archived_at, data) ' +
+                            'SELECT id, status::text, queue, script, created_at, finished_at, $2, to_jsonb(jobs) ' +
+                            '  FROM jobs ' +
+                            ' WHERE id = ANY($1::bigint[]) ' +
+                            "   AND status NOT IN ('pending', 'running') " +
+                            '    ON CONFLICT (id) DO NOTHING ',
+                            [ ids, moment() ]
+                        )
+                        .then(() => {
+                            return client.query(
+                                'DELETE ' +
+                                '  FROM jobs ' +
+                                ' WHERE id = ANY($1::bigint[]) ' +
+                                "   AND status NOT IN ('pending', 'running') " +
+                                'RETURNING * ',
+                                [ ids ]
+                            );
+                        })
+                        .then(result => {
+                            return this._auditDeleted(client, result.rows)
+                                .then(() => {
+                                    return result.rowCount;
+                                });
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.archive()');
+        });
+};
@@ -0,0 +1,75 @@
+/**
+ * JobRepository.cancel()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Cancel a job: pending job is cancelled right away, running one gets its cancelling flag set and is cancelled by
+ * the worker when its handler gives up
+ * @method cancel
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number} id                       ID of the job
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to 'cancelled', 'cancelling' or null if there is no pending or
+ *                                          running job with this ID
+ */
+module.exports = function (id, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let columns = [ 'status', 'finished_at', 'cancelling' ];
+            return this._audited(client, 'cancel', () => {
+                    return client.query(
+                            'UPDATE jobs ' +
+                            "   SET status = CASE WHEN jobs.status = 'pending' THEN 'cancelled' ELSE jobs.status END::job_status, " +
+                            "       finished_at = CASE WHEN jobs.status = 'pending' THEN $2 ELSE jobs.finished_at END, " +
+                            "       cancelling = (jobs.status = 'running') " +
+                            '  FROM ( ' +
+                            `         SELECT id, ${columns.join(', ')} ` +
+                            '           FROM jobs ' +
+                            '          WHERE id = $1 ' +
+                            '       ) AS previous ' +
+                            ' WHERE jobs.id = previous.id ' +
+                            "   AND jobs.status IN ('pending', 'running') " +
+                            'RETURNING jobs.*, ' +
+                            columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
+                            [ id, moment() ]
+                        )
+                        .then(result => {
+                            return this._auditUpdated(client, result.rows, columns)
+                                .then(() => {
+                                    return result;
+                                });
+                        });
+                })
+                .then(result => {
+                    if (!result.rowCount)
+                        return null;
+
+                    return result.rows[0].status == 'cancelled' ? 'cancelled' : 'cancelling';
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.cancel()');
+        });
+};
@@ -0,0 +1,188 @@
+/**
+ * JobRepository.claimPending()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Claim next pending jobs for this server instance using row locks.<br>
+ * Unlike processPending() this never conflicts with other instances: rows locked by them are skipped (SELECT ... FOR
+ * UPDATE SKIP LOCKED) and a queue which is being claimed by another instance right now is skipped too. A queue runs
+ * at most concurrency jobs at once and at most target concurrency jobs on this instance (see
+ * JobQueueRepository.getLimits()). Jobs with higher priority are claimed first, jobs waiting for their parents (see
+ * depends_on) are skipped, so are the jobs without a target when jobs.target_only is set. Claimed jobs that are
+ * expired are marked so, rest are marked as started (counting an attempt) and returned
+ * @method claimPending
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number} [limit=10]               Maximum number of jobs to claim
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (limit = 10, reuseClient = undefined) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.transaction({ name: 'JobRepository.claimPending', isolation: 'read committed' }, rollback => {
+                    let returnValue = [], now = moment(), targetOnly = !!this._config.get('jobs.target_only');
+
+                    /**
+                     * Claim jobs
+                     * @param {string|null} queue           Queue name
+                     * @param {number} count                Number of jobs
+                     * @return {Promise}                    Resolves to number of claimed jobs
+                     */
+                    let claim = (queue, count) => {
+                        let columns = [ 'status', 'started_at', 'started_by', 'finished_at', 'heartbeat_at', 'attempts' ];
+                        return client.query(
+                                'UPDATE jobs ' +
+                                "   SET status = CASE WHEN jobs.schedule_end < $2 THEN 'expired' ELSE 'running' END::job_status, " +
+                                '       started_at = $2, ' +
+                                '       started_by = $1, ' +
+                                '       finished_at = CASE WHEN jobs.schedule_end < $2 THEN $2 END, ' +
+                                '       heartbeat_at = $2, ' +
+                                '       attempts = jobs.attempts + CASE WHEN jobs.schedule_end < $2 THEN 0 ELSE 1 END ' +
+                                '  FROM ( ' +
+                                `         SELECT id, ${columns.join(', ')} ` +
+                                '           FROM jobs ' +
+                                '          WHERE (target = $1 OR (target IS NULL AND NOT $5::boolean)) ' +
+                                '            AND queue IS NOT DISTINCT FROM $3 ' +
+                                "            AND status = 'pending' " +
+                                '            AND (schedule_start IS NULL OR schedule_start <= $2) ' +
+                                '            AND (next_attempt_at IS NULL OR next_attempt_at <= $2) ' +
+                                '            AND NOT EXISTS ( ' +
+                                '                    SELECT 1 ' +
+                                '                      FROM jobs AS parents ' +
+                                '                     WHERE parents.id = ANY(jobs.depends_on) ' +
+                                "                       AND parents.status NOT IN ('success', 'skipped') " +
+                                "                       AND (jobs.on_parent_failure <> 'continue' OR parents.status IN ('pending', 'running')) " +
+                                '                ) ' +
+                                '       ORDER BY priority DESC, created_at ASC ' +
+                                '          LIMIT $4 ' +
+                                '     FOR UPDATE SKIP LOCKED ' +
+                                '       ) AS previous ' +
+                                ' WHERE jobs.id = previous.id ' +
+                                'RETURNING jobs.*, ' +
+                                columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
+                                [ this._config.instance, now, queue, count, targetOnly ]
+                            )
+                            .then(result => {
+                                return this._auditUpdated(client, result.rows, columns)
+                                    .then(() => {
+                                        return result;
+                                    });
+                            })
+                            .then(result => {
+                                for (let row of result.rows) {
+                                    if (row.status != 'running')
+                                        continue;
+
+                                    let job = this._app.get('models.job');
+                                    this._postgres.constructor.unserializeModel(job, row);
+                                    returnValue.push(job);
+                                }
+                                return result.rowCount;
+                            });
+                    };
+
+                    let left = limit;
+                    return claim(null, left)
+                        .then(count => {
+                            left -= count;
+                            if (left <= 0)
+                                return;
+
+                            return client.query(
+                                    '  SELECT queue AS queue ' +
+                                    '    FROM jobs ' +
+                                    '   WHERE (target = $1 OR (target IS NULL AND NOT $3::boolean)) ' +
+                                    '     AND queue IS NOT NULL ' +
+                                    "     AND status = 'pending' " +
+                                    '     AND (schedule_start IS NULL OR schedule_start <= $2) ' +
+                                    '     AND (next_attempt_at IS NULL OR next_attempt_at <= $2) ' +
+                                    '     AND NOT EXISTS ( ' +
+                                    '             SELECT 1 ' +
+                                    '               FROM jobs AS parents ' +
+                                    '              WHERE parents.id = ANY(jobs.depends_on) ' +
+                                    "                AND parents.status NOT IN ('success', 'skipped') " +
+                                    "                AND (jobs.on_parent_failure <> 'continue' OR parents.status IN ('pending', 'running')) " +
+                                    '         ) ' +
+                                    'GROUP BY queue ' +
+                                    'ORDER BY max(priority) DESC, min(created_at) ASC ',
+                                    [ this._config.instance, now, targetOnly ]
+                                )
+                                .then(queueResult => {
+                                    return queueResult.rows.reduce(
+                                        (prev, queueRow) => {
+                                            return prev.then(() => {
+                                                if (left <= 0)
+                                                    return;
+
+                                                return client.query(
+                                                        'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked ',
+                                                        [ `${this._config.project}:jobs-queue:${queueRow.queue}` ]
+                                                    )
+                                                    .then(lockResult => {
+                                                        if (!lockResult.rows[0].locked)
+                                                            return;
+
+                                                        let limits;
+                                                        return this._jobQueueRepo.getLimits(queueRow.queue, client)
+                                                            .then(result => {
+                                                                limits = result;
+                                                                return client.query(
+                                                                    'SELECT count(*)::int AS count, ' +
+                                                                    '       (count(*) FILTER (WHERE started_by = $1))::int AS target_count ' +
+                                                                    '  FROM jobs ' +
+                                                                    ' WHERE (target IS NULL OR target = $1) ' +
+                                                                    '   AND queue = $2 ' +
+                                                                    "   AND status = 'running' ",
+                                                                    [ this._config.instance, queueRow.queue ]
+                                                                );
+                                                            })
+                                                            .then(countResult => {
+                                                                let free = Math.min(limits.concurrency - countResult.rows[0].count, left);
+                                                                if (limits.targetConcurrency)
+                                                                    free = Math.min(free, limits.targetConcurrency - countResult.rows[0].target_count);
+                                                                if (free <= 0)
+                                                                    return;
+
+                                                                return claim(queueRow.queue, free)
+                                                                    .then(count => {
+                                                                        left -= count;
+                                                                    });
+                                                            });
+                                                    });
+                                            });
+                                        },
+                                        Promise.resolve()
+                                    );
+                                });
+                        })
+                        .then(() => {
+                            return returnValue;
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.claimPending()');
+        });
+};
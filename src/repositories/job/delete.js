@@ -4,45 +4,30 @@
 'use strict';
 
 const WError = require('verror').WError;
+const Repository = require('../base');
 
 /**
- * Delete a job
+ * Delete a job. Soft deleted job is cancelled first (see cancel()) so that the worker does not start it and its
+ * dependants are resolved as usual, running job keeps running until its handler gives up. Both are done in one
+ * transaction
  * @method delete
  * @memberOf module:arpen/repositories/job~JobRepository
- * @param {JobModel} job                    Job model
+ * @param {JobModel|number} job             The job or its ID, the job gets the deleted record loaded
  * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
- * @return {Promise}                        Resolves to number of deleted records
+ * @param {object} [options]                Base Repository.delete() options
+ * @return {Promise}                        Resolves to number of deleted jobs
  */
-module.exports = function (job, reuseClient) {
-    return Promise.resolve()
-        .then(() => {
-            if (reuseClient)
-                return reuseClient;
+module.exports = function (job, reuseClient, options = {}) {
+    if (options.permanent)
+        return Repository.prototype.delete.call(this, job, reuseClient, options);
 
-            return this._postgres.connect();
-        })
-        .then(client => {
-            return client.query(
-                    'DELETE ' +
-                    '  FROM jobs ' +
-                    ' WHERE id = $1 ',
-                    [ job.id ]
-                )
-                .then(result => {
-                    return result.rowCount;
-                })
-                .then(
-                    value => {
-                        if (!reuseClient)
-                            client.done();
-                        return value;
-                    },
-                    error => {
-                        if (!reuseClient)
-                            client.done();
-                        throw error;
-                    }
-                );
+    return this._withClient(reuseClient, client => {
+            return client.transaction({ name: 'JobRepository.delete', isolation: 'read committed' }, rollback => {
+                return this.cancel(typeof job == 'object' ? job.id : job, client)
+                    .then(() => {
+                        return Repository.prototype.delete.call(this, job, client, options);
+                    });
+            });
         })
         .catch(error => {
             throw new WError(error, 'JobRepository.delete()');
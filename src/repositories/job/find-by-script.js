@@ -11,9 +11,13 @@ const WError = require('verror').WError;
  * @memberOf module:arpen/repositories/job~JobRepository
  * @param {string} script                   Script name to search by
  * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {boolean} [options.withDeleted]   Include soft deleted jobs
+ * @param {boolean} [options.onlyDeleted]   Only soft deleted jobs
  * @return {Promise}                        Resolves to array of models
  */
-module.exports = function (script, reuseClient) {
+module.exports = function (script, reuseClient, { withDeleted = false, onlyDeleted = false } = {}) {
+    let where = this._whereDeleted({ withDeleted: withDeleted, onlyDeleted: onlyDeleted });
     return Promise.resolve()
         .then(() => {
             if (reuseClient)
@@ -25,7 +29,8 @@ module.exports = function (script, reuseClient) {
             return client.query(
                     'SELECT * ' +
                     '  FROM jobs ' +
-                    ' WHERE script = $1 ',
+                    ' WHERE script = $1 ' +
+                    (where ? `   AND ${where} ` : ''),
                     [ script ]
                 )
                 .then(result => {
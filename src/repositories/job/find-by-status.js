@@ -0,0 +1,66 @@
+/**
+ * JobRepository.findByStatus()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find jobs by status
+ * @method findByStatus
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {string} status                   Job status
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {boolean} [options.withDeleted]   Include soft deleted jobs
+ * @param {boolean} [options.onlyDeleted]   Only soft deleted jobs
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (status, reuseClient, { withDeleted = false, onlyDeleted = false } = {}) {
+    let where = this._whereDeleted({ withDeleted: withDeleted, onlyDeleted: onlyDeleted });
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    '  SELECT * ' +
+                    '    FROM jobs ' +
+                    '   WHERE status = $1 ' +
+                    (where ? `     AND ${where} ` : '') +
+                    'ORDER BY id ASC ',
+                    [ status ]
+                )
+                .then(result => {
+                    return result.rowCount ? result.rows : [];
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .then(rows => {
+            let jobs = [];
+            for (let row of rows) {
+                let job = this._app.get('models.job');
+                this._postgres.constructor.unserializeModel(job, row);
+                jobs.push(job);
+            }
+
+            return jobs;
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.findByStatus()');
+        });
+};
@@ -0,0 +1,135 @@
+/**
+ * JobRepository.findExpired()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Find finished jobs which are not retained by the retention policies anymore.<br>
+ * <pre>
+ * Every policy is an object:
+ * {
+ *      script: 'script',                   // script name or array of them, any script if omitted
+ *      status: 'success',                  // finished status or array of them, any finished status if omitted
+ *      days: 30,                           // jobs finished more than this many days ago are expired
+ *      keep: 1000,                         // only this many last finished jobs of a script are retained
+ * }
+ * </pre>
+ * The first policy matching a job applies to it, jobs matching no policy are retained. Policy without days and keep
+ * retains its jobs forever. Jobs which have pending or running children are always retained
+ * @method findExpired
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {object[]} policies               Retention policies
+ * @param {number|null} [limit=null]        Maximum number of IDs to return, no limit if null
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of IDs
+ */
+module.exports = function (policies, limit = null, reuseClient = undefined) {
+    let now = moment();
+    let finished = [ 'success', 'failure', 'expired', 'dead', 'cancelled', 'skipped' ];
+
+    /**
+     * Make SQL condition matching jobs of a policy
+     * @param {object} policy               The policy
+     * @param {Array} params                Query parameters
+     * @return {string}                     Returns the condition
+     */
+    let matcher = (policy, params) => {
+        let conditions = [];
+        if (policy.script) {
+            params.push(Array.isArray(policy.script) ? policy.script : [ policy.script ]);
+            conditions.push(`script = ANY($${params.length}::text[])`);
+        }
+        if (policy.status) {
+            params.push(Array.isArray(policy.status) ? policy.status : [ policy.status ]);
+            conditions.push(`status::text = ANY($${params.length}::text[])`);
+        }
+        return conditions.length ? '(' + conditions.join(' AND ') + ')' : 'TRUE';
+    };
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let returnValue = [];
+            return policies.reduce(
+                    (prev, policy, index) => {
+                        return prev.then(() => {
+                            if (limit !== null && returnValue.length >= limit)
+                                return;
+
+                            let expiry = [], params = [ finished ];
+                            if (typeof policy.days == 'number') {
+                                params.push(now.clone().subtract(policy.days, 'days'));
+                                expiry.push(`COALESCE(finished_at, created_at) < $${params.length}`);
+                            }
+                            if (typeof policy.keep == 'number') {
+                                params.push(policy.keep);
+                                expiry.push(`position > $${params.length}`);
+                            }
+                            if (!expiry.length)
+                                return;
+
+                            let conditions = [ 'status::text = ANY($1::text[])', matcher(policy, params) ];
+                            for (let previous of policies.slice(0, index))
+                                conditions.push(`NOT ${matcher(previous, params)}`);
+
+                            let query =
+                                '  SELECT id ' +
+                                '    FROM ( ' +
+                                '             SELECT id, created_at, finished_at, ' +
+                                '                    row_number() OVER ( ' +
+                                '                        PARTITION BY script ' +
+                                '                        ORDER BY COALESCE(finished_at, created_at) DESC, id DESC ' +
+                                '                    ) AS position ' +
+                                '               FROM jobs ' +
+                                `              WHERE ${conditions.join(' AND ')} ` +
+                                '         ) AS matched ' +
+                                `   WHERE (${expiry.join(' OR ')}) ` +
+                                '     AND NOT EXISTS ( ' +
+                                '             SELECT 1 ' +
+                                '               FROM jobs AS children ' +
+                                '              WHERE children.depends_on @> ARRAY[matched.id] ' +
+                                "                AND children.status IN ('pending', 'running') " +
+                                '         ) ' +
+                                'ORDER BY id ASC ';
+                            if (limit !== null) {
+                                params.push(limit - returnValue.length);
+                                query += `   LIMIT $${params.length} `;
+                            }
+
+                            return client.query(query, params)
+                                .then(result => {
+                                    for (let row of result.rows)
+                                        returnValue.push(parseInt(row.id, 10));
+                                });
+                        });
+                    },
+                    Promise.resolve()
+                )
+                .then(() => {
+                    return returnValue;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.findExpired()');
+        });
+};
@@ -0,0 +1,66 @@
+/**
+ * JobRepository.findParents()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find parents of a job (the jobs it depends on)
+ * @method findParents
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {JobModel} job                    The child job
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models in the order of job.dependsOn, deleted
+ *                                          parents are omitted
+ */
+module.exports = function (job, reuseClient) {
+    if (!job.dependsOn || !job.dependsOn.length)
+        return Promise.resolve([]);
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    '    SELECT jobs.* ' +
+                    '      FROM unnest($1::bigint[]) WITH ORDINALITY AS parents(id, position) ' +
+                    'INNER JOIN jobs ' +
+                    '        ON jobs.id = parents.id ' +
+                    '  ORDER BY parents.position ',
+                    [ job.dependsOn ]
+                )
+                .then(result => {
+                    return result.rows;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .then(rows => {
+            let jobs = [];
+            for (let row of rows) {
+                let parent = this._app.get('models.job');
+                this._postgres.constructor.unserializeModel(parent, row);
+                jobs.push(parent);
+            }
+
+            return jobs;
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.findParents()');
+        });
+};
@@ -0,0 +1,90 @@
+/**
+ * JobRepository.finish()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Mark running job as finished. Nothing is updated unless the job is still in the same run (started by the same
+ * instance with the same number of attempts), e.g. when it was reaped and claimed again meanwhile
+ * @method finish
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {JobModel} job                    Job model
+ * @param {string} status                   New status: 'success', 'failure', 'dead' or 'cancelled'
+ * @param {*} output                        Job output
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of updated records
+ */
+module.exports = function (job, status, output, reuseClient) {
+    let now = moment();
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let columns = [ 'status', 'output', 'finished_at' ];
+            return this._audited(client, 'finish', () => {
+                    return client.query(
+                            'UPDATE jobs ' +
+                            '   SET status = $1, ' +
+                            '       output = $2, ' +
+                            '       finished_at = $3 ' +
+                            '  FROM ( ' +
+                            `         SELECT id, ${columns.join(', ')} ` +
+                            '           FROM jobs ' +
+                            '          WHERE id = $4 ' +
+                            '       ) AS previous ' +
+                            ' WHERE jobs.id = previous.id ' +
+                            "   AND jobs.status = 'running' " +
+                            '   AND jobs.started_by = $5 ' +
+                            '   AND jobs.attempts = $6 ' +
+                            'RETURNING jobs.*, ' +
+                            columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
+                            [
+                                status,
+                                JSON.stringify(typeof output == 'undefined' ? {} : output),
+                                now,
+                                job.id,
+                                job.startedBy,
+                                job.attempts
+                            ]
+                        )
+                        .then(result => {
+                            return this._auditUpdated(client, result.rows, columns)
+                                .then(() => {
+                                    return result;
+                                });
+                        });
+                })
+                .then(result => {
+                    if (result.rowCount) {
+                        job.status = status;
+                        job.output = output;
+                        job.finishedAt = now;
+                        job.reset();
+                    }
+                    return result.rowCount;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.finish()');
+        });
+};
@@ -0,0 +1,63 @@
+/**
+ * JobRepository.heartbeat()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Refresh heartbeat of jobs run by this server instance and check if their cancellation was requested
+ * @method heartbeat
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number[]} ids                    IDs of the running jobs
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of IDs of the jobs being cancelled
+ */
+module.exports = function (ids, reuseClient) {
+    if (!ids.length)
+        return Promise.resolve([]);
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'UPDATE jobs ' +
+                    '   SET heartbeat_at = $1 ' +
+                    ' WHERE id = ANY($2::bigint[]) ' +
+                    "   AND status = 'running' " +
+                    '   AND started_by = $3 ' +
+                    'RETURNING id, cancelling ',
+                    [ moment(), ids, this._config.instance ]
+                )
+                .then(result => {
+                    return result.rows
+                        .filter(row => {
+                            return row.cancelling;
+                        })
+                        .map(row => {
+                            return parseInt(row.id, 10);
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.heartbeat()');
+        });
+};
@@ -8,8 +8,11 @@ const WError = require('verror').WError;
 
 /**
  * Find next pending jobs for this server instance.<br>
- * Found jobs that are expired are marked so, rest are marked as started and returned. Processed jobs statuses in the
- * database are updated
+ * Jobs waiting for the next retry attempt or for their parents (see depends_on) are skipped, so are the jobs without
+ * a target when jobs.target_only is set. Found jobs that are expired are marked so, rest are marked as started
+ * (counting an attempt) and returned. A queue runs at most concurrency jobs at once and at most target concurrency
+ * jobs on this instance (see JobQueueRepository.getLimits()), jobs with higher priority are started first. Processed
+ * jobs statuses in the database are updated
  * @method processPending
  * @memberOf module:arpen/repositories/job~JobRepository
  * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
@@ -25,7 +28,7 @@ module.exports = function (reuseClient) {
         })
         .then(client => {
             return client.transaction({ name: 'JobRepository.processPending' }, rollback => {
-                    let returnValue = [], now = moment();
+                    let returnValue = [], now = moment(), targetOnly = !!this._config.get('jobs.target_only');
 
                     /**
                      * Process a job
@@ -38,24 +41,45 @@ module.exports = function (reuseClient) {
                             return resolve();
 
                         let status = (job.scheduleEnd && now.isAfter(job.scheduleEnd)) ? 'expired' : 'running';
+                        let columns = [ 'status', 'started_at', 'started_by', 'finished_at', 'heartbeat_at', 'attempts' ];
                         client.query(
                                 'UPDATE jobs ' +
                                 '   SET status = $1, ' +
                                 '       started_at = $2, ' +
                                 '       started_by = $3, ' +
-                                '       finished_at = $4 ' +
-                                ' WHERE id = $5 ',
+                                '       finished_at = $4, ' +
+                                '       heartbeat_at = $2, ' +
+                                '       attempts = jobs.attempts + $5 ' +
+                                '  FROM ( ' +
+                                `         SELECT id, ${columns.join(', ')} ` +
+                                '           FROM jobs ' +
+                                '          WHERE id = $6 ' +
+                                '       ) AS previous ' +
+                                ' WHERE jobs.id = previous.id ' +
+                                'RETURNING jobs.*, ' +
+                                columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
                                 [
                                     status,
                                     now,
                                     this._config.instance,
                                     status == 'running' ? null : now,
+                                    status == 'running' ? 1 : 0,
                                     job.id
                                 ]
                             )
+                            .then(result => {
+                                return this._auditUpdated(client, result.rows, columns);
+                            })
                             .then(() => {
-                                if (status == 'running')
+                                if (status == 'running') {
+                                    job.status = status;
+                                    job.startedAt = now;
+                                    job.startedBy = this._config.instance;
+                                    job.heartbeatAt = now;
+                                    job.attempts = job.attempts + 1;
+                                    job.reset();
                                     returnValue.push(job);
+                                }
 
                                 resolve();
                             })
@@ -68,12 +92,20 @@ module.exports = function (reuseClient) {
                     return client.query(
                             '  SELECT * ' +
                             '    FROM jobs ' +
-                            '   WHERE (target IS NULL OR target = $1) ' +
+                            '   WHERE (target = $1 OR (target IS NULL AND NOT $3::boolean)) ' +
                             '     AND queue IS NULL ' +
-                            '     AND status = "pending" ' +
+                            "     AND status = 'pending' " +
                             '     AND (schedule_start IS NULL OR schedule_start <= $2) ' +
-                            'ORDER BY created_at ASC',
-                            [ this._config.instance, now ]
+                            '     AND (next_attempt_at IS NULL OR next_attempt_at <= $2) ' +
+                            '     AND NOT EXISTS ( ' +
+                            '             SELECT 1 ' +
+                            '               FROM jobs AS parents ' +
+                            '              WHERE parents.id = ANY(jobs.depends_on) ' +
+                            "                AND parents.status NOT IN ('success', 'skipped') " +
+                            "                AND (jobs.on_parent_failure <> 'continue' OR parents.status IN ('pending', 'running')) " +
+                            '         ) ' +
+                            'ORDER BY priority DESC, created_at ASC',
+                            [ this._config.instance, now, targetOnly ]
                         )
                         .then(result => {
                             if (result.rowCount) {
@@ -90,47 +122,79 @@ module.exports = function (reuseClient) {
                             return client.query(
                                 '  SELECT DISTINCT queue AS queue ' +
                                 '    FROM jobs ' +
-                                '   WHERE (target IS NULL OR target = $1) ' +
+                                '   WHERE (target = $1 OR (target IS NULL AND NOT $3::boolean)) ' +
                                 '     AND queue IS NOT NULL ' +
-                                '     AND status = "pending" ' +
-                                '     AND (schedule_start IS NULL OR schedule_start <= $2) ',
-                                [ this._config.instance, now ]
+                                "     AND status = 'pending' " +
+                                '     AND (schedule_start IS NULL OR schedule_start <= $2) ' +
+                                '     AND (next_attempt_at IS NULL OR next_attempt_at <= $2) ' +
+                                '     AND NOT EXISTS ( ' +
+                                '             SELECT 1 ' +
+                                '               FROM jobs AS parents ' +
+                                '              WHERE parents.id = ANY(jobs.depends_on) ' +
+                                "                AND parents.status NOT IN ('success', 'skipped') " +
+                                "                AND (jobs.on_parent_failure <> 'continue' OR parents.status IN ('pending', 'running')) " +
+                                '         ) ',
+                                [ this._config.instance, now, targetOnly ]
                             );
                         })
                         .then(queueResult => {
                             if (queueResult.rowCount) {
                                 queueResult.rows.forEach(queueRow => {
                                     promises.push(new Promise((resolve, reject) => {
-                                        client.query(
-                                                '  SELECT count(*)::int AS count ' +
-                                                '    FROM jobs ' +
-                                                '   WHERE (target IS NULL OR target = $1) ' +
-                                                '     AND queue = $2 ' +
-                                                '     AND status = "running" ',
-                                                [ this._config.instance, queueRow.queue ]
-                                            )
+                                        let limits;
+                                        this._jobQueueRepo.getLimits(queueRow.queue, client)
+                                            .then(result => {
+                                                limits = result;
+                                                return client.query(
+                                                    '  SELECT count(*)::int AS count, ' +
+                                                    '         (count(*) FILTER (WHERE started_by = $1))::int AS target_count ' +
+                                                    '    FROM jobs ' +
+                                                    '   WHERE (target IS NULL OR target = $1) ' +
+                                                    '     AND queue = $2 ' +
+                                                    "     AND status = 'running' ",
+                                                    [ this._config.instance, queueRow.queue ]
+                                                );
+                                            })
                                             .then(countResult => {
-                                                if (countResult.rows[0].count > 0) {
+                                                let free = limits.concurrency - countResult.rows[0].count;
+                                                if (limits.targetConcurrency)
+                                                    free = Math.min(free, limits.targetConcurrency - countResult.rows[0].target_count);
+                                                if (free <= 0) {
                                                     resolve();
                                                 } else {
                                                     return client.query(
                                                             '  SELECT * ' +
                                                             '    FROM jobs ' +
-                                                            '   WHERE (target IS NULL OR target = $1) ' +
+                                                            '   WHERE (target = $1 OR (target IS NULL AND NOT $5::boolean)) ' +
                                                             '     AND queue = $2 ' +
-                                                            '     AND status = "pending" ' +
+                                                            "     AND status = 'pending' " +
                                                             '     AND (schedule_start IS NULL OR schedule_start <= $3) ' +
-                                                            'ORDER BY created_at ASC ' +
-                                                            '   LIMIT 1 ',
-                                                            [ this._config.instance, queueRow.queue, now ]
+                                                            '     AND (next_attempt_at IS NULL OR next_attempt_at <= $3) ' +
+                                                            '     AND NOT EXISTS ( ' +
+                                                            '             SELECT 1 ' +
+                                                            '               FROM jobs AS parents ' +
+                                                            '              WHERE parents.id = ANY(jobs.depends_on) ' +
+                                                            "                AND parents.status NOT IN ('success', 'skipped') " +
+                                                            "                AND (jobs.on_parent_failure <> 'continue' OR parents.status IN ('pending', 'running')) " +
+                                                            '         ) ' +
+                                                            'ORDER BY priority DESC, created_at ASC ' +
+                                                            '   LIMIT $4 ',
+                                                            [ this._config.instance, queueRow.queue, now, free, targetOnly ]
                                                         )
                                                         .then(jobResult => {
                                                             if (!jobResult.rowCount)
                                                                 return reject(new Error('Empty result when data expected'));
 
-                                                            let job = this._app.get('models.job');
-                                                            this._postgres.constructor.unserializeModel(job, jobResult.rows[0]);
-                                                            processJob(job, resolve, reject);
+                                                            return Promise.all(jobResult.rows.map(row => {
+                                                                    return new Promise((resolveJob, rejectJob) => {
+                                                                        let job = this._app.get('models.job');
+                                                                        this._postgres.constructor.unserializeModel(job, row);
+                                                                        processJob(job, resolveJob, rejectJob);
+                                                                    });
+                                                                }))
+                                                                .then(() => {
+                                                                    resolve();
+                                                                });
                                                         });
                                                 }
                                             })
@@ -0,0 +1,70 @@
+/**
+ * JobRepository.purge()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Delete finished jobs
+ * @method purge
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number[]} ids                    IDs of the jobs
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models of the deleted jobs
+ */
+module.exports = function (ids, reuseClient) {
+    if (!ids.length)
+        return Promise.resolve([]);
+
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return this._audited(client, 'purge', () => {
+                    return client.query(
+                            'DELETE ' +
+                            '  FROM jobs ' +
+                            ' WHERE id = ANY($1::bigint[]) ' +
+                            "   AND status NOT IN ('pending', 'running') " +
+                            'RETURNING * ',
+                            [ ids ]
+                        )
+                        .then(result => {
+                            return this._auditDeleted(client, result.rows)
+                                .then(() => {
+                                    return result.rows;
+                                });
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .then(rows => {
+            let jobs = [];
+            for (let row of rows) {
+                let job = this._app.get('models.job');
+                this._postgres.constructor.unserializeModel(job, row);
+                jobs.push(job);
+            }
+
+            return jobs;
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.purge()');
+        });
+};
@@ -0,0 +1,96 @@
+/**
+ * JobRepository.reapStale()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Return running jobs of any server instance with stale heartbeat to the pending state. The abandoned run counts as
+ * an attempt: the jobs which have no attempts left become dead, the ones being cancelled become cancelled
+ * @method reapStale
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number} timeout                  Number of seconds since the last heartbeat for a job to become stale
+ * @param {object} [scriptTimeouts]         Script name → timeout overrides
+ * @param {number} [maxAttempts=1]          Maximum number of attempts of the jobs without max_attempts
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of { id, script, status, startedBy, heartbeatAt } of
+ *                                          the reaped jobs
+ */
+module.exports = function (timeout, scriptTimeouts, maxAttempts = 1, reuseClient = undefined) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let columns = [ 'status', 'finished_at', 'heartbeat_at' ];
+            return this._audited(client, 'reapStale', () => {
+                    return client.query(
+                            '   UPDATE jobs AS j ' +
+                            '      SET status = CASE ' +
+                            "                       WHEN j.cancelling THEN 'cancelled' " +
+                            "                       WHEN j.attempts >= COALESCE(j.max_attempts, $4) THEN 'dead' " +
+                            "                       ELSE 'pending' " +
+                            '                   END::job_status, ' +
+                            '          finished_at = CASE ' +
+                            '                            WHEN j.cancelling OR j.attempts >= COALESCE(j.max_attempts, $4) THEN $1 ' +
+                            '                            ELSE j.finished_at ' +
+                            '                        END, ' +
+                            '          heartbeat_at = NULL ' +
+                            '     FROM ( ' +
+                            `              SELECT id, ${columns.join(', ')} ` +
+                            '                FROM jobs ' +
+                            "               WHERE status = 'running' " +
+                            '                 AND COALESCE(heartbeat_at, started_at) < ' +
+                            '                     $1::timestamp - make_interval(secs => COALESCE(($2::jsonb ->> script)::int, $3)) ' +
+                            '          FOR UPDATE SKIP LOCKED ' +
+                            '          ) AS s ' +
+                            '    WHERE j.id = s.id ' +
+                            'RETURNING j.*, ' +
+                            columns.map(column => `s.${column} AS previous_${column}`).join(', '),
+                            [ moment(), JSON.stringify(scriptTimeouts || {}), timeout, maxAttempts ]
+                        )
+                        .then(result => {
+                            return this._auditUpdated(client, result.rows, columns)
+                                .then(() => {
+                                    return result;
+                                });
+                        });
+                })
+                .then(result => {
+                    return result.rows.map(row => {
+                        let heartbeatAt = null;
+                        if (row.previous_heartbeat_at) {
+                            let utcMoment = moment(row.previous_heartbeat_at); // db field is in UTC
+                            heartbeatAt = moment.tz(utcMoment.format(this._postgres.constructor.datetimeFormat), 'UTC').local();
+                        }
+                        return {
+                            id: parseInt(row.id, 10),
+                            script: row.script,
+                            status: row.status,
+                            startedBy: row.started_by,
+                            heartbeatAt: heartbeatAt,
+                        };
+                    });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.reapStale()');
+        });
+};
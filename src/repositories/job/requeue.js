@@ -0,0 +1,82 @@
+/**
+ * JobRepository.requeue()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Return finished job to the pending state with the attempts counter and progress reset, soft deleted jobs are not
+ * requeued
+ * @method requeue
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {number|null} id                  ID of the job, null to requeue all the jobs with given statuses
+ * @param {string[]} [statuses]             Statuses of the jobs which can be requeued
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of requeued jobs
+ */
+module.exports = function (id, statuses = [ 'dead' ], reuseClient = null) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let columns = [
+                'status',
+                'attempts',
+                'next_attempt_at',
+                'finished_at',
+                'progress',
+                'progress_message',
+                'cancelling',
+            ];
+            return this._audited(client, 'requeue', () => {
+                    return client.query(
+                            'UPDATE jobs ' +
+                            "   SET status = 'pending', " +
+                            '       attempts = 0, ' +
+                            '       next_attempt_at = NULL, ' +
+                            '       finished_at = NULL, ' +
+                            '       progress = NULL, ' +
+                            '       progress_message = NULL, ' +
+                            '       cancelling = false ' +
+                            '  FROM ( ' +
+                            `         SELECT id, ${columns.join(', ')} ` +
+                            '           FROM jobs ' +
+                            '          WHERE ($1::bigint IS NULL OR id = $1) ' +
+                            '            AND status::text = ANY($2) ' +
+                            '       ) AS previous ' +
+                            ' WHERE jobs.id = previous.id ' +
+                            '   AND jobs.status::text = ANY($2) ' +
+                            '   AND jobs.deleted_at IS NULL ' +
+                            'RETURNING jobs.*, ' +
+                            columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
+                            [ id, statuses ]
+                        )
+                        .then(result => {
+                            return this._auditUpdated(client, result.rows, columns)
+                                .then(() => {
+                                    return result.rowCount;
+                                });
+                        });
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.requeue()');
+        });
+};
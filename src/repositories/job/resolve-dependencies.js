@@ -0,0 +1,71 @@
+/**
+ * JobRepository.resolveDependencies()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Apply on_parent_failure of the pending jobs which have a failed parent (failure, expired, dead or cancelled):
+ * 'cancel' jobs are cancelled and 'skip' jobs are skipped, 'continue' jobs are left alone. This is repeated until
+ * no more jobs are affected, so the failure reaches all the descendants
+ * @method resolveDependencies
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of { id, status } of the affected jobs
+ */
+module.exports = function (reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let returnValue = [];
+            let resolve = () => {
+                return client.query(
+                        'UPDATE jobs ' +
+                        "   SET status = CASE WHEN on_parent_failure = 'skip' THEN 'skipped' ELSE 'cancelled' END::job_status, " +
+                        '       finished_at = $1 ' +
+                        " WHERE status = 'pending' " +
+                        "   AND on_parent_failure <> 'continue' " +
+                        '   AND EXISTS ( ' +
+                        '           SELECT 1 ' +
+                        '             FROM jobs AS parents ' +
+                        '            WHERE parents.id = ANY(jobs.depends_on) ' +
+                        "              AND parents.status IN ('failure', 'expired', 'dead', 'cancelled') " +
+                        '       ) ' +
+                        'RETURNING id, status ',
+                        [ moment() ]
+                    )
+                    .then(result => {
+                        if (!result.rowCount)
+                            return returnValue;
+
+                        for (let row of result.rows)
+                            returnValue.push({ id: parseInt(row.id, 10), status: row.status });
+                        return resolve();
+                    });
+            };
+
+            return resolve()
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.resolveDependencies()');
+        });
+};
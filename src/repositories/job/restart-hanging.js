@@ -3,10 +3,11 @@
  */
 'use strict';
 
+const moment = require('moment-timezone');
 const WError = require('verror').WError;
 
 /**
- * Restart jobs started by this server
+ * Restart jobs started by this server (the ones being cancelled become cancelled)
  * @method restartHanging
  * @memberOf module:arpen/repositories/job~JobRepository
  * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
@@ -23,10 +24,12 @@ module.exports = function (reuseClient) {
         .then(client => {
             return client.query(
                     'UPDATE jobs ' +
-                    '   SET status = "pending" ' +
-                    ' WHERE status = "running" ' +
+                    "   SET status = CASE WHEN cancelling THEN 'cancelled' ELSE 'pending' END::job_status, " +
+                    '       finished_at = CASE WHEN cancelling THEN $2 ELSE finished_at END, ' +
+                    '       heartbeat_at = NULL ' +
+                    " WHERE status = 'running' " +
                     '   AND started_by = $1 ',
-                    [ this._config.instance ]
+                    [ this._config.instance, moment() ]
                 )
                 .then(
                     value => {
@@ -0,0 +1,94 @@
+/**
+ * JobRepository.retry()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Return failed running job to the pending state to be attempted again later. If its cancellation was requested the
+ * job is marked as cancelled instead. Nothing is updated unless the job is still in the same run (see finish())
+ * @method retry
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {JobModel} job                    Job model
+ * @param {*} output                        Output of the failed attempt
+ * @param {object} nextAttemptAt            Moment.js object of the next attempt time
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of updated records
+ */
+module.exports = function (job, output, nextAttemptAt, reuseClient) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            let now = moment(), columns = [ 'status', 'output', 'next_attempt_at', 'finished_at' ];
+            return this._audited(client, 'retry', () => {
+                    return client.query(
+                            'UPDATE jobs ' +
+                            "   SET status = CASE WHEN jobs.cancelling THEN 'cancelled' ELSE 'pending' END::job_status, " +
+                            '       output = $1, ' +
+                            '       next_attempt_at = CASE WHEN jobs.cancelling THEN NULL ELSE $2::timestamp END, ' +
+                            '       finished_at = CASE WHEN jobs.cancelling THEN $3::timestamp END ' +
+                            '  FROM ( ' +
+                            `         SELECT id, ${columns.join(', ')} ` +
+                            '           FROM jobs ' +
+                            '          WHERE id = $4 ' +
+                            '       ) AS previous ' +
+                            ' WHERE jobs.id = previous.id ' +
+                            "   AND jobs.status = 'running' " +
+                            '   AND jobs.started_by = $5 ' +
+                            '   AND jobs.attempts = $6 ' +
+                            'RETURNING jobs.*, ' +
+                            columns.map(column => `previous.${column} AS previous_${column}`).join(', '),
+                            [
+                                JSON.stringify(typeof output == 'undefined' ? {} : output),
+                                nextAttemptAt,
+                                now,
+                                job.id,
+                                job.startedBy,
+                                job.attempts
+                            ]
+                        )
+                        .then(result => {
+                            return this._auditUpdated(client, result.rows, columns)
+                                .then(() => {
+                                    return result;
+                                });
+                        });
+                })
+                .then(result => {
+                    if (result.rowCount) {
+                        job.status = result.rows[0].status;
+                        job.output = output;
+                        if (job.status == 'cancelled') {
+                            job.nextAttemptAt = null;
+                            job.finishedAt = now;
+                        } else {
+                            job.nextAttemptAt = nextAttemptAt;
+                        }
+                        job.reset();
+                    }
+                    return result.rowCount;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.retry()');
+        });
+};
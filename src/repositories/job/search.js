@@ -4,6 +4,7 @@
 'use strict';
 
 const moment = require('moment-timezone');
+const Repository = require('../base');
 
 /**
  * Find jobs by query
@@ -15,23 +16,38 @@ const moment = require('moment-timezone');
  *                                          to a number of milliseconds since Epoch)
  */
 module.exports = function (options, reuseClient) {
-    return super.search(
-            'jobs',
-            [
-                'id',
-                'status',
-                'queue',
-                'script',
-                'target',
-                'schedule_start',
-                'schedule_end',
-                'created_at',
-                'created_by',
-                'started_at',
-                'started_by',
-                'finished_at',
-            ],
-            options,
+    return Repository.prototype.search.call(
+            this,
+            Object.assign({}, options, {
+                table: 'jobs',
+                fields: [
+                    'id',
+                    'status',
+                    'queue',
+                    'script',
+                    'target',
+                    'schedule_start',
+                    'schedule_end',
+                    'created_at',
+                    'created_by',
+                    'started_at',
+                    'started_by',
+                    'finished_at',
+                    'attempts',
+                    'max_attempts',
+                    'next_attempt_at',
+                    'schedule_id',
+                    'scheduled_for',
+                    'heartbeat_at',
+                    'progress',
+                    'progress_message',
+                    'cancelling',
+                    'depends_on',
+                    'on_parent_failure',
+                    'priority',
+                    'deleted_at',
+                ],
+            }),
             reuseClient
         )
         .then(result => {
@@ -0,0 +1,58 @@
+/**
+ * JobRepository.setProgress()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Save progress of running job
+ * @method setProgress
+ * @memberOf module:arpen/repositories/job~JobRepository
+ * @param {JobModel} job                    Job model
+ * @param {number} progress                 Percent done
+ * @param {string|null} [message=null]      Progress message
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of updated records
+ */
+module.exports = function (job, progress, message = null, reuseClient = undefined) {
+    return Promise.resolve()
+        .then(() => {
+            if (reuseClient)
+                return reuseClient;
+
+            return this._postgres.connect();
+        })
+        .then(client => {
+            return client.query(
+                    'UPDATE jobs ' +
+                    '   SET progress = $1, ' +
+                    '       progress_message = $2 ' +
+                    " WHERE id = $3 AND status = 'running' ",
+                    [ progress, message, job.id ]
+                )
+                .then(result => {
+                    if (result.rowCount) {
+                        job.progress = progress;
+                        job.progressMessage = message;
+                        job.reset();
+                    }
+                    return result.rowCount;
+                })
+                .then(
+                    value => {
+                        if (!reuseClient)
+                            client.done();
+                        return value;
+                    },
+                    error => {
+                        if (!reuseClient)
+                            client.done();
+                        throw error;
+                    }
+                );
+        })
+        .catch(error => {
+            throw new WError(error, 'JobRepository.setProgress()');
+        });
+};
@@ -0,0 +1,51 @@
+/**
+ * Permission repository
+ * @module arpen/repositories/permission
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Permission repository class
+ */
+class PermissionRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     * @param {AuditContext} [auditContext]         Audit context of the scope
+     */
+    constructor(app, postgres, cacher, util, auditContext) {
+        super(app, postgres, util, cacher, auditContext);
+
+        this._loadMethods(path.join(__dirname, 'permission'));
+    }
+
+    /**
+     * Service name is 'repositories.permission'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.permission';
+    }
+
+    /**
+     * Model service name is 'models.permission'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.permission';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'postgres', 'cacher', 'util', 'auditContext?' ];
+    }
+}
+
+module.exports = PermissionRepository;
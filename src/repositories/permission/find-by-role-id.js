@@ -0,0 +1,40 @@
+/**
+ * PermissionRepository.findByRoleId()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find permissions of a role, the result is cached as 'sql:permissions-by-role-id:<role_id>'
+ * @method findByRoleId
+ * @memberOf module:arpen/repositories/permission~PermissionRepository
+ * @param {number} roleId                   Role ID to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {string[]} [options.include]      Relations to load, see Repository.load()
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (roleId, reuseClient, { include = [] } = {}) {
+    return this._queryCached(
+            `sql:permissions-by-role-id:${roleId}`,
+            '  SELECT * ' +
+            '    FROM permissions ' +
+            '   WHERE role_id = $1 ' +
+            'ORDER BY id ',
+            [ roleId ],
+            reuseClient
+        )
+        .then(rows => {
+            return this.load(
+                rows.map(row => {
+                    return this.getModel(row);
+                }),
+                include,
+                reuseClient
+            );
+        })
+        .catch(error => {
+            throw new WError(error, 'PermissionRepository.findByRoleId()');
+        });
+};
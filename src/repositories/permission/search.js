@@ -0,0 +1,31 @@
+/**
+ * PermissionRepository.search()
+ */
+'use strict';
+
+const Repository = require('../base');
+
+/**
+ * Find permissions by query over permissions_search view
+ * @method search
+ * @memberOf module:arpen/repositories/permission~PermissionRepository
+ * @param {object} [options]                Base Repository.search() options
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to base Repository.search() result
+ */
+module.exports = function (options, reuseClient) {
+    return Repository.prototype.search.call(
+        this,
+        Object.assign({}, options, {
+            table: 'permissions_search',
+            fields: [
+                'id',
+                'role_id',
+                'resource',
+                'action',
+                'role_name',
+            ],
+        }),
+        reuseClient
+    );
+};
@@ -0,0 +1,51 @@
+/**
+ * Role repository
+ * @module arpen/repositories/role
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Role repository class
+ */
+class RoleRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     * @param {AuditContext} [auditContext]         Audit context of the scope
+     */
+    constructor(app, postgres, cacher, util, auditContext) {
+        super(app, postgres, util, cacher, auditContext);
+
+        this._loadMethods(path.join(__dirname, 'role'));
+    }
+
+    /**
+     * Service name is 'repositories.role'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.role';
+    }
+
+    /**
+     * Model service name is 'models.role'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.role';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'postgres', 'cacher', 'util', 'auditContext?' ];
+    }
+}
+
+module.exports = RoleRepository;
@@ -0,0 +1,39 @@
+/**
+ * RoleRepository.findByName()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find a role by name
+ * @method findByName
+ * @memberOf module:arpen/repositories/role~RoleRepository
+ * @param {string} name                     Name to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {string[]} [options.include]      Relations to load, see Repository.load()
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (name, reuseClient, { include = [] } = {}) {
+    return this._withClient(reuseClient, client => {
+            return client.query(
+                    'SELECT * ' +
+                    '  FROM roles ' +
+                    ' WHERE name = $1 ',
+                    [ name ]
+                )
+                .then(result => {
+                    return this.load(
+                        result.rows.map(row => {
+                            return this.getModel(row);
+                        }),
+                        include,
+                        client
+                    );
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'RoleRepository.findByName()');
+        });
+};
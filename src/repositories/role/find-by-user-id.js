@@ -0,0 +1,42 @@
+/**
+ * RoleRepository.findByUserId()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find roles assigned to a user. The assignments are cached as 'sql:roles-by-user-id:<user_id>' and the roles are
+ * loaded with findMany() (cached by ID) so that a change of either invalidates the result. UserModel 'roles' relation
+ * shares the cache key, so the cached rows have the same columns as the ones of the relation
+ * @method findByUserId
+ * @memberOf module:arpen/repositories/role~RoleRepository
+ * @param {number} userId                   User ID to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {string[]} [options.include]      Relations to load, see Repository.load()
+ * @return {Promise}                        Resolves to array of models sorted by ID
+ */
+module.exports = function (userId, reuseClient, { include = [] } = {}) {
+    return this._queryCached(
+            `sql:roles-by-user-id:${userId}`,
+            '  SELECT user_id, role_id ' +
+            '    FROM user_roles ' +
+            '   WHERE user_id = $1 ' +
+            'ORDER BY role_id ',
+            [ userId ],
+            reuseClient
+        )
+        .then(rows => {
+            return this.findMany(
+                rows.map(row => {
+                    return row.role_id;
+                }),
+                reuseClient,
+                { include: include }
+            );
+        })
+        .catch(error => {
+            throw new WError(error, 'RoleRepository.findByUserId()');
+        });
+};
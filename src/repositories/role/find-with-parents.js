@@ -0,0 +1,45 @@
+/**
+ * RoleRepository.findWithParents()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Load the role tree up from given roles following parent_id, the roles of every level are loaded with (cached)
+ * findMany()
+ * @method findWithParents
+ * @memberOf module:arpen/repositories/role~RoleRepository
+ * @param {RoleModel[]} roles               The roles
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to array of models: given roles followed by their parents, every
+ *                                          role is included once
+ */
+module.exports = function (roles, reuseClient) {
+    let result = [];
+    let ids = new Set();
+
+    let load = roles => {
+        let parents = [];
+        for (let role of roles) {
+            if (ids.has(role.id))
+                continue;
+
+            ids.add(role.id);
+            result.push(role);
+            if (role.parentId && !ids.has(role.parentId))
+                parents.push(role.parentId);
+        }
+
+        if (!parents.length)
+            return Promise.resolve(result);
+
+        return this.findMany(Array.from(new Set(parents)), reuseClient)
+            .then(load);
+    };
+
+    return load(roles)
+        .catch(error => {
+            throw new WError(error, 'RoleRepository.findWithParents()');
+        });
+};
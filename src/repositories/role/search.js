@@ -0,0 +1,30 @@
+/**
+ * RoleRepository.search()
+ */
+'use strict';
+
+const Repository = require('../base');
+
+/**
+ * Find roles by query over roles_search view
+ * @method search
+ * @memberOf module:arpen/repositories/role~RoleRepository
+ * @param {object} [options]                Base Repository.search() options
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to base Repository.search() result
+ */
+module.exports = function (options, reuseClient) {
+    return Repository.prototype.search.call(
+        this,
+        Object.assign({}, options, {
+            table: 'roles_search',
+            fields: [
+                'id',
+                'parent_id',
+                'name',
+                'parent_name',
+            ],
+        }),
+        reuseClient
+    );
+};
@@ -0,0 +1,50 @@
+/**
+ * Session repository
+ * @module arpen/repositories/session
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * Session repository class
+ */
+class SessionRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     */
+    constructor(app, postgres, cacher, util) {
+        super(app, postgres, util, cacher);
+
+        this._loadMethods(path.join(__dirname, 'session'));
+    }
+
+    /**
+     * Service name is 'repositories.session'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.session';
+    }
+
+    /**
+     * Model service name is 'models.session'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.session';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'postgres', 'cacher', 'util' ];
+    }
+}
+
+module.exports = SessionRepository;
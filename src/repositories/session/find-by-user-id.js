@@ -0,0 +1,43 @@
+/**
+ * SessionRepository.findByUserId()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find sessions of a user, none are found when the user is soft deleted
+ * @method findByUserId
+ * @memberOf module:arpen/repositories/session~SessionRepository
+ * @param {number} userId                   User ID to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {string[]} [options.include]      Relations to load, see Repository.load()
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (userId, reuseClient, { include = [] } = {}) {
+    return this._withClient(reuseClient, client => {
+            return client.query(
+                    '    SELECT s.* ' +
+                    '      FROM sessions s ' +
+                    'INNER JOIN users u ' +
+                    '        ON u.id = s.user_id ' +
+                    '     WHERE s.user_id = $1 ' +
+                    '       AND u.deleted_at IS NULL ' +
+                    '  ORDER BY s.id ',
+                    [ userId ]
+                )
+                .then(result => {
+                    return this.load(
+                        result.rows.map(row => {
+                            return this.getModel(row);
+                        }),
+                        include,
+                        client
+                    );
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'SessionRepository.findByUserId()');
+        });
+};
@@ -0,0 +1,42 @@
+/**
+ * SessionRepository.find()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+const Repository = require('../base');
+
+/**
+ * Find a session by ID. Session of a soft deleted user is skipped so that the user can not authenticate with it
+ * @method find
+ * @memberOf module:arpen/repositories/session~SessionRepository
+ * @param {number} id                       ID to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]                Base Repository.find() options
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (id, reuseClient, options = {}) {
+    return Repository.prototype.find.call(this, id, reuseClient, options)
+        .then(sessions => {
+            let userIds = sessions
+                .map(session => {
+                    return session.userId;
+                })
+                .filter(userId => {
+                    return userId !== null;
+                });
+            if (!userIds.length)
+                return sessions;
+
+            return this._app.get('repositories.user').findMany(userIds, reuseClient)
+                .then(users => {
+                    let active = new Set(users.map(user => user.id));
+                    return sessions.filter(session => {
+                        return session.userId === null || active.has(session.userId);
+                    });
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'SessionRepository.find()');
+        });
+};
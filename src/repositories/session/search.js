@@ -0,0 +1,46 @@
+/**
+ * SessionRepository.search()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const Repository = require('../base');
+
+/**
+ * Find sessions by query over sessions_search view, payloads are not retrieved
+ * @method search
+ * @memberOf module:arpen/repositories/session~SessionRepository
+ * @param {object} [options]                Base Repository.search() options
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to sanitized base Repository.search() result (dates are converted
+ *                                          to a number of milliseconds since Epoch)
+ */
+module.exports = function (options, reuseClient) {
+    return Repository.prototype.search.call(
+            this,
+            Object.assign({}, options, {
+                table: 'sessions_search',
+                fields: [
+                    'id',
+                    'user_id',
+                    'user_email',
+                    'ip_address',
+                    'created_at',
+                    'updated_at',
+                ],
+            }),
+            reuseClient
+        )
+        .then(result => {
+            for (let row of result.data) {
+                for (let field of Object.keys(row)) {
+                    let value = row[field];
+                    if (value instanceof Date) {
+                        let utcMoment = moment(value); // db field is in UTC
+                        row[field] = moment.tz(utcMoment.format(this._postgres.constructor.datetimeFormat), 'UTC').valueOf();
+                    }
+                }
+            }
+            return result;
+        });
+};
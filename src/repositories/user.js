@@ -0,0 +1,51 @@
+/**
+ * User repository
+ * @module arpen/repositories/user
+ */
+const path = require('path');
+const Repository = require('./base');
+
+/**
+ * User repository class
+ */
+class UserRepository extends Repository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {Postgres} postgres                   Postgres service
+     * @param {Cacher} cacher                       Cacher service
+     * @param {Util} util                           Util service
+     * @param {AuditContext} [auditContext]         Audit context of the scope
+     */
+    constructor(app, postgres, cacher, util, auditContext) {
+        super(app, postgres, util, cacher, auditContext);
+
+        this._loadMethods(path.join(__dirname, 'user'));
+    }
+
+    /**
+     * Service name is 'repositories.user'
+     * @type {string}
+     */
+    static get provides() {
+        return 'repositories.user';
+    }
+
+    /**
+     * Model service name is 'models.user'
+     * @type {string}
+     */
+    static get model() {
+        return 'models.user';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'postgres', 'cacher', 'util', 'auditContext?' ];
+    }
+}
+
+module.exports = UserRepository;
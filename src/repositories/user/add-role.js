@@ -0,0 +1,36 @@
+/**
+ * UserRepository.addRole()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Assign a role to a user
+ * @method addRole
+ * @memberOf module:arpen/repositories/user~UserRepository
+ * @param {UserModel|number} user           The user or its ID
+ * @param {RoleModel|number} role           The role or its ID
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of added records (0 if the user already has the role)
+ */
+module.exports = function (user, role, reuseClient) {
+    return this._withClient(reuseClient, client => {
+            return client.query(
+                    'INSERT ' +
+                    '  INTO user_roles(user_id, role_id) ' +
+                    'VALUES ($1, $2) ' +
+                    '    ON CONFLICT DO NOTHING ',
+                    [
+                        typeof user == 'object' ? user.id : user,
+                        typeof role == 'object' ? role.id : role,
+                    ]
+                )
+                .then(result => {
+                    return result.rowCount;
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'UserRepository.addRole()');
+        });
+};
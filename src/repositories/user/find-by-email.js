@@ -0,0 +1,44 @@
+/**
+ * UserRepository.findByEmail()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Find a user by email, the result is cached as 'sql:users-by-email:<email>'
+ * @method findByEmail
+ * @memberOf module:arpen/repositories/user~UserRepository
+ * @param {string} email                    Email to search by
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @param {object} [options]
+ * @param {string[]} [options.include]      Relations to load, see Repository.load()
+ * @param {boolean} [options.withDeleted]   Include soft deleted users
+ * @param {boolean} [options.onlyDeleted]   Only soft deleted users
+ * @return {Promise}                        Resolves to array of models
+ */
+module.exports = function (email, reuseClient, { include = [], withDeleted = false, onlyDeleted = false } = {}) {
+    return this._queryCached(
+            `sql:users-by-email:${email}`,
+            'SELECT * ' +
+            '  FROM users ' +
+            ' WHERE email = $1 ',
+            [ email ],
+            reuseClient
+        )
+        .then(rows => {
+            return this.load(
+                this._filterDeleted(
+                    rows.map(row => {
+                        return this.getModel(row);
+                    }),
+                    { withDeleted: withDeleted, onlyDeleted: onlyDeleted }
+                ),
+                include,
+                reuseClient
+            );
+        })
+        .catch(error => {
+            throw new WError(error, 'UserRepository.findByEmail()');
+        });
+};
@@ -0,0 +1,36 @@
+/**
+ * UserRepository.removeRole()
+ */
+'use strict';
+
+const WError = require('verror').WError;
+
+/**
+ * Take a role from a user
+ * @method removeRole
+ * @memberOf module:arpen/repositories/user~UserRepository
+ * @param {UserModel|number} user           The user or its ID
+ * @param {RoleModel|number} role           The role or its ID
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to number of deleted records
+ */
+module.exports = function (user, role, reuseClient) {
+    return this._withClient(reuseClient, client => {
+            return client.query(
+                    'DELETE ' +
+                    '  FROM user_roles ' +
+                    ' WHERE user_id = $1 ' +
+                    '   AND role_id = $2 ',
+                    [
+                        typeof user == 'object' ? user.id : user,
+                        typeof role == 'object' ? role.id : role,
+                    ]
+                )
+                .then(result => {
+                    return result.rowCount;
+                });
+        })
+        .catch(error => {
+            throw new WError(error, 'UserRepository.removeRole()');
+        });
+};
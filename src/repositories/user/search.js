@@ -0,0 +1,48 @@
+/**
+ * UserRepository.search()
+ */
+'use strict';
+
+const moment = require('moment-timezone');
+const Repository = require('../base');
+
+/**
+ * Find users by query over users_search view, passwords are not retrieved
+ * @method search
+ * @memberOf module:arpen/repositories/user~UserRepository
+ * @param {object} [options]                Base Repository.search() options
+ * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+ * @return {Promise}                        Resolves to sanitized base Repository.search() result (dates are converted
+ *                                          to a number of milliseconds since Epoch)
+ */
+module.exports = function (options, reuseClient) {
+    return Repository.prototype.search.call(
+            this,
+            Object.assign({}, options, {
+                table: 'users_search',
+                fields: [
+                    'id',
+                    'name',
+                    'email',
+                    'created_at',
+                    'blocked_at',
+                    'deleted_at',
+                    'roles',
+                    'sessions',
+                ],
+            }),
+            reuseClient
+        )
+        .then(result => {
+            for (let row of result.data) {
+                for (let field of Object.keys(row)) {
+                    let value = row[field];
+                    if (value instanceof Date) {
+                        let utcMoment = moment(value); // db field is in UTC
+                        row[field] = moment.tz(utcMoment.format(this._postgres.constructor.datetimeFormat), 'UTC').valueOf();
+                    }
+                }
+            }
+            return result;
+        });
+};
@@ -0,0 +1,119 @@
+/**
+ * Access control service
+ * @module arpen/services/acl
+ */
+const WError = require('verror').WError;
+
+/**
+ * Access control list<br>
+ * <pre>
+ * A user has the roles of user_roles table plus 'Authenticated' role, a request without a user has 'Anonymous' role.
+ * Every role inherits permissions of its parent roles. A permission allows an action on a resource, NULL resource or
+ * action of the permission matches any resource or action.
+ * </pre>
+ */
+class Acl {
+    /**
+     * Create the service
+     * @param {RoleRepository} roleRepo            Role repository
+     * @param {PermissionRepository} permissionRepo Permission repository
+     */
+    constructor(roleRepo, permissionRepo) {
+        this._roleRepo = roleRepo;
+        this._permissionRepo = permissionRepo;
+    }
+
+    /**
+     * Service name is 'acl'
+     * @type {string}
+     */
+    static get provides() {
+        return 'acl';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'repositories.role', 'repositories.permission' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Name of the role of requests without a user
+     * @type {string}
+     */
+    static get anonymousRole() {
+        return 'Anonymous';
+    }
+
+    /**
+     * Name of the role every user has
+     * @type {string}
+     */
+    static get authenticatedRole() {
+        return 'Authenticated';
+    }
+
+    /**
+     * Check permission
+     * @param {UserModel|null} user             User or null for anonymous access
+     * @param {string} resource                 Resource
+     * @param {string} action                   Action on the resource
+     * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                        Resolves to true if the action is allowed
+     */
+    isAllowed(user, resource, action, reuseClient) {
+        return this.getRoles(user, reuseClient)
+            .then(roles => {
+                return Promise.all(
+                    roles.map(role => {
+                        return this._permissionRepo.findByRoleId(role.id, reuseClient);
+                    })
+                );
+            })
+            .then(result => {
+                return result.some(permissions => {
+                    return permissions.some(permission => {
+                        return (permission.resource === null || permission.resource === resource) &&
+                            (permission.action === null || permission.action === action);
+                    });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, 'Acl.isAllowed()');
+            });
+    }
+
+    /**
+     * Get all the roles of a user including the inherited ones
+     * @param {UserModel|null} user             User or null for anonymous access
+     * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                        Resolves to array of RoleModel
+     */
+    getRoles(user, reuseClient) {
+        return Promise.all([
+                this._roleRepo.findByName(
+                    user ? this.constructor.authenticatedRole : this.constructor.anonymousRole,
+                    reuseClient
+                ),
+                user ? this._roleRepo.findByUserId(user.id, reuseClient) : [],
+            ])
+            .then(([ defaultRoles, userRoles ]) => {
+                return this._roleRepo.findWithParents(userRoles.concat(defaultRoles), reuseClient);
+            })
+            .catch(error => {
+                throw new WError(error, 'Acl.getRoles()');
+            });
+    }
+}
+
+module.exports = Acl;
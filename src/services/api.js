@@ -0,0 +1,137 @@
+/**
+ * JSON API helper service
+ * @module arpen/services/api
+ */
+const moment = require('moment-timezone');
+
+/**
+ * Helpers of the JSON API routes: access check, query parameters and response objects<br>
+ * <pre>
+ * Search routes accept the following query parameters, see parseSearch():
+ *  sort    - field to sort by, 'id' by default
+ *  order   - 'asc' or 'desc' (default)
+ *  page    - page number starting with 1
+ *  limit   - number of records per page
+ * </pre>
+ */
+class ApiHelper {
+    /**
+     * Create the service
+     * @param {ErrorHelper} error       Error helper service
+     * @param {Acl} acl                 Acl service
+     * @param {Auth} auth               Auth service
+     */
+    constructor(error, acl, auth) {
+        this._error = error;
+        this._acl = acl;
+        this._auth = auth;
+    }
+
+    /**
+     * Service name is 'api'
+     * @type {string}
+     */
+    static get provides() {
+        return 'api';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'error', 'acl', 'auth' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Check that the request is allowed to perform the action on the resource
+     * @param {object} req              Express request (authenticated with Auth.authenticate())
+     * @param {object} res              Express response
+     * @param {string} resource         The resource
+     * @param {string} action           The action
+     * @return {Promise}                Rejects with HTTP 401 or 403 error when not allowed
+     */
+    authorize(req, res, resource, action) {
+        return this._acl.isAllowed(req.user, resource, action)
+            .then(allowed => {
+                if (allowed)
+                    return;
+
+                if (req.user)
+                    throw this._error.newForbidden();
+
+                this._auth.challenge(res);
+                throw this._error.newUnauthorized();
+            });
+    }
+
+    /**
+     * Parse integer query parameter
+     * @param {string} [value]          The parameter
+     * @param {number|null} defaultValue Returned when the parameter is empty
+     * @return {number|null}            Returns null if the value is not an integer
+     */
+    parseInteger(value, defaultValue) {
+        if (typeof value == 'undefined' || value === '')
+            return defaultValue;
+
+        return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+    }
+
+    /**
+     * Parse sorting and paging query parameters of a search
+     * @param {object} query            Express request query
+     * @param {object} options          E.g. the route class having these static properties
+     * @param {string[]} options.sortKeys Fields the search can be sorted by
+     * @param {number} options.pageSize Default number of records per page
+     * @param {number} options.maxPageSize Maximum number of records per page
+     * @param {object} fields           Errors of the invalid parameters are added to this object: name => [ messages ]
+     * @return {object}                 Returns { sortKey, sortOrder, pageSize, pageNumber } options of
+     *                                  Repository.search()
+     */
+    parseSearch(query, { sortKeys, pageSize, maxPageSize }, fields) {
+        let result = {
+            sortKey: query.sort || 'id',
+            sortOrder: query.order || 'desc',
+            pageSize: this.parseInteger(query.limit, pageSize),
+            pageNumber: this.parseInteger(query.page, 1),
+        };
+
+        if (sortKeys.indexOf(result.sortKey) == -1)
+            fields.sort = [ 'Invalid sort field' ];
+        if ([ 'asc', 'desc' ].indexOf(result.sortOrder) == -1)
+            fields.order = [ 'Order should be asc or desc' ];
+        if (result.pageNumber === null || result.pageNumber < 1)
+            fields.page = [ 'Page should be a positive integer' ];
+        if (result.pageSize === null || result.pageSize < 1 || result.pageSize > maxPageSize)
+            fields.limit = [ `Limit should be an integer from 1 to ${maxPageSize}` ];
+
+        return result;
+    }
+
+    /**
+     * Convert model to response object: Model.project() with the dates of the model as numbers of milliseconds since
+     * Epoch
+     * @param {Model} model             The model
+     * @param {string|null} [projection] Projection name, see Model.getProjection()
+     * @return {object}                 Returns object with DB field names
+     */
+    serialize(model, projection = null) {
+        let data = model.project(projection);
+        for (let field of model.constructor.getSchema().values()) {
+            if (field.type == 'datetime' && typeof data[field.column] == 'string')
+                data[field.column] = moment(data[field.column], moment.ISO_8601).valueOf();
+        }
+        return data;
+    }
+}
+
+module.exports = ApiHelper;
@@ -0,0 +1,96 @@
+/**
+ * Audit context service
+ * @module arpen/services/audit-context
+ */
+
+/**
+ * Author of the changes made within a scope, written to the audit log by the repositories (see Repository)<br>
+ * <pre>
+ * Within the scope of an HTTP request the actor is the authenticated user (req.user) and the correlation ID is
+ * X-Request-Id header of the request or a random string. Within the scope of a job run the actor is this instance
+ * and the correlation ID is 'job:<id>'. Changes made outside a scope (commands, scheduler, worker itself) are
+ * attributed to this instance without a correlation ID.
+ * </pre>
+ */
+class AuditContext {
+    /**
+     * Create the service
+     * @param {object} config                       Configuration
+     * @param {Util} util                           Util service
+     * @param {object} [request]                    Express request of the scope
+     * @param {JobModel} [job]                      Job of the scope
+     */
+    constructor(config, util, request, job) {
+        this._config = config;
+        this._request = request || null;
+        this._job = job || null;
+
+        this._correlationId = null;
+        if (this._request) {
+            let header = this._request.get('X-Request-Id');
+            this._correlationId = (header && this.constructor.correlationIdRe.test(header)) ?
+                header :
+                util.getRandomString(32, { upper: false });
+        } else if (this._job) {
+            this._correlationId = `job:${this._job.id}`;
+        }
+    }
+
+    /**
+     * Service name is 'auditContext'
+     * @type {string}
+     */
+    static get provides() {
+        return 'auditContext';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'util', 'request?', 'job?' ];
+    }
+
+    /**
+     * One instance per scope
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'perScope';
+    }
+
+    /**
+     * Accepted X-Request-Id header
+     * @type {RegExp}
+     */
+    static get correlationIdRe() {
+        return /^[\w.:-]{1,255}$/;
+    }
+
+    /**
+     * ID of the user making the changes
+     * @type {number|null}
+     */
+    get userId() {
+        return (this._request && this._request.user) ? this._request.user.id : null;
+    }
+
+    /**
+     * Instance making the changes
+     * @type {string}
+     */
+    get instance() {
+        return this._config.instance;
+    }
+
+    /**
+     * Correlation ID of the changes
+     * @type {string|null}
+     */
+    get correlationId() {
+        return this._correlationId;
+    }
+}
+
+module.exports = AuditContext;
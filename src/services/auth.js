@@ -0,0 +1,157 @@
+/**
+ * HTTP authentication service
+ * @module arpen/services/auth
+ */
+const crypto = require('crypto');
+const WError = require('verror').WError;
+
+/**
+ * HTTP Basic authentication (email and password of a user). Successful password checks are remembered for
+ * verifiedTtl seconds as bcrypt is slow by design and the credentials come with every request
+ */
+class Auth {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {ErrorHelper} error       Error helper service
+     * @param {UserRepository} userRepo User repository
+     */
+    constructor(app, config, error, userRepo) {
+        this._app = app;
+        this._config = config;
+        this._error = error;
+        this._userRepo = userRepo;
+
+        this._verified = new Map();
+    }
+
+    /**
+     * Service name is 'auth'
+     * @type {string}
+     */
+    static get provides() {
+        return 'auth';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'error', 'repositories.user' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Number of seconds a successful password check is remembered
+     * @type {number}
+     */
+    static get verifiedTtl() {
+        return 60;
+    }
+
+    /**
+     * Create router middleware which sets req.user to UserModel of the credentials or to null when the request has no
+     * credentials. Wrong credentials or blocked user result in HTTP 401 error
+     * @return {function}               Returns Express middleware function
+     */
+    authenticate() {
+        return (req, res, next) => {
+            req.user = null;
+
+            let match = /^Basic\s+(\S+)$/i.exec(req.get('Authorization') || '');
+            if (!match)
+                return next();
+
+            let credentials = Buffer.from(match[1], 'base64').toString();
+            let index = credentials.indexOf(':');
+            let email = index == -1 ? credentials : credentials.slice(0, index);
+            let password = index == -1 ? '' : credentials.slice(index + 1);
+
+            this.findUser(email)
+                .then(user => {
+                    if (!user || user.blockedAt)
+                        return null;
+
+                    return this.checkPassword(user, password)
+                        .then(valid => {
+                            return valid ? user : null;
+                        });
+                })
+                .then(user => {
+                    if (!user) {
+                        this.challenge(res);
+                        return next(this._error.newUnauthorized());
+                    }
+
+                    req.user = user;
+                    next();
+                })
+                .catch(error => {
+                    next(error);
+                });
+        };
+    }
+
+    /**
+     * Ask the client for credentials
+     * @param {object} res              Express response
+     */
+    challenge(res) {
+        res.set('WWW-Authenticate', `Basic realm="${this._config.project}"`);
+    }
+
+    /**
+     * Check password of a user, the result is cached when the password matches. Changing the password invalidates
+     * the cache as the key includes the stored hash
+     * @param {UserModel} user          The user
+     * @param {string} password         The password
+     * @return {Promise}                Resolves to boolean
+     */
+    checkPassword(user, password) {
+        let now = Date.now();
+        let key = crypto.createHash('sha256').update(`${user.id}:${user.password}:${password}`).digest('hex');
+        let expires = this._verified.get(key);
+        if (expires && expires > now)
+            return Promise.resolve(true);
+
+        return user.checkPassword(password)
+            .then(valid => {
+                for (let [ cached, cachedExpires ] of this._verified) {
+                    if (cachedExpires <= now)
+                        this._verified.delete(cached);
+                }
+                if (valid)
+                    this._verified.set(key, now + this.constructor.verifiedTtl * 1000);
+                return valid;
+            })
+            .catch(error => {
+                throw new WError(error, 'Auth.checkPassword()');
+            });
+    }
+
+    /**
+     * Find user by email
+     * @param {string} email            Email of the user
+     * @return {Promise}                Resolves to UserModel or null
+     */
+    findUser(email) {
+        return this._userRepo.findByEmail(email)
+            .then(users => {
+                return users.length ? users[0] : null;
+            })
+            .catch(error => {
+                throw new WError(error, 'Auth.findUser()');
+            });
+    }
+}
+
+module.exports = Auth;
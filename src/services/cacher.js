@@ -189,6 +189,25 @@ class Cacher {
                 });
     }
 
+    /**
+     * Disconnect from the cache
+     * @return {Promise}
+     */
+    dispose() {
+        return this._clientPromise
+            .then(
+                client => {
+                    if (client.client.connected) {
+                        debug('Disconnecting');
+                        client.done();
+                    }
+                },
+                () => {
+                    return undefined;
+                }
+            );
+    }
+
     /**
      * Convert variable name to Redis key
      * @param {string} name                         Cache variable name
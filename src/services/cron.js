@@ -0,0 +1,244 @@
+/**
+ * Cron expressions
+ * @module arpen/services/cron
+ */
+const moment = require('moment-timezone');
+
+/**
+ * Cron expression parser<br>
+ * <pre>
+ * Supported are the standard five fields: minute, hour, day of month, month and day of week, each one is '*' or
+ * a comma separated list of values and ranges with optional step (e.g. '1-5', '0-30/10', 'mon-fri').
+ * Month and day of week names are the first three letters of the English name, Sunday is either 0 or 7.
+ * If both day of month and day of week are restricted the time matches when either of them matches.
+ *
+ * Macros @yearly (@annually), @monthly, @weekly, @daily (@midnight) and @hourly are also supported.
+ * </pre>
+ */
+class Cron {
+    /**
+     * Service name is 'cron'
+     * @type {string}
+     */
+    static get provides() {
+        return 'cron';
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Macros
+     * @type {object}
+     */
+    static get macros() {
+        return {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *',
+        };
+    }
+
+    /**
+     * Maximum number of steps next() makes searching for the matching time
+     * @type {number}
+     */
+    static get maxIterations() {
+        return 100000;
+    }
+
+    /**
+     * Fields of an expression
+     * @type {object[]}
+     */
+    static get fields() {
+        return [
+            { name: 'minute', min: 0, max: 59 },
+            { name: 'hour', min: 0, max: 23 },
+            { name: 'day', min: 1, max: 31 },
+            { name: 'month', min: 1, max: 12, names: [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ] },
+            { name: 'weekday', min: 0, max: 7, names: [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ] },
+        ];
+    }
+
+    /**
+     * Parse expression
+     * @param {string} expression               Cron expression
+     * @return {object}                         Returns { minute, hour, day, month, weekday } Sets of allowed values
+     *                                          and { anyDay, anyWeekday } flags
+     * @throw {Error}                           Throws on invalid expression
+     */
+    parse(expression) {
+        if (typeof expression != 'string')
+            throw new Error('Cron expression is not a String');
+
+        let source = expression.trim().toLowerCase();
+        if (source[0] == '@') {
+            if (!this.constructor.macros[source])
+                throw new Error(`Unknown cron macro: ${expression}`);
+            source = this.constructor.macros[source];
+        }
+
+        let parts = source.split(/\s+/);
+        if (parts.length != this.constructor.fields.length)
+            throw new Error(`Cron expression should have ${this.constructor.fields.length} fields: ${expression}`);
+
+        let result = {};
+        this.constructor.fields.forEach((field, index) => {
+            result[field.name] = this._parseField(field, parts[index], expression);
+        });
+
+        if (result.weekday.has(7)) {
+            result.weekday.delete(7);
+            result.weekday.add(0);
+        }
+        result.anyDay = (parts[2] == '*');
+        result.anyWeekday = (parts[4] == '*');
+
+        return result;
+    }
+
+    /**
+     * Check if expression is valid
+     * @param {string} expression               Cron expression
+     * @return {boolean}
+     */
+    isValid(expression) {
+        try {
+            this.parse(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Find the next time matching the expression. When clocks go back the repeated wall time matches once only (at
+     * its first occurrence) unless the hour field matches every hour
+     * @param {string} expression               Cron expression
+     * @param {object} [after]                  Moment.js object, the result is strictly after it (now by default)
+     * @param {string} [timezone]               Timezone the expression is evaluated in (local by default)
+     * @return {object|null}                    Returns Moment.js object in local timezone or null if the expression
+     *                                          never matches (e.g. February 30th)
+     */
+    next(expression, after, timezone) {
+        let parsed = this.parse(expression);
+        let zone = timezone || moment.tz.guess();
+        let time = moment.tz(after ? moment(after) : moment(), zone)
+            .startOf('minute')
+            .add(1, 'minute');
+
+        let advance = unit => {
+            let previous = time.valueOf();
+            time.add(1, unit);
+            if (unit != 'minute')
+                time.startOf(unit);
+            if (time.valueOf() <= previous) // start of the unit is before the previous time because of DST
+                time = moment.tz(previous, zone).add(1, unit);
+        };
+
+        let limit = time.year() + 10;
+        for (let i = 0; i < this.constructor.maxIterations && time.year() <= limit; i++) {
+            if (!parsed.month.has(time.month() + 1)) {
+                advance('month');
+                continue;
+            }
+            if (!this._matchesDay(parsed, time)) {
+                advance('day');
+                continue;
+            }
+            if (!parsed.hour.has(time.hour())) {
+                advance('hour');
+                continue;
+            }
+            if (!parsed.minute.has(time.minute())) {
+                advance('minute');
+                continue;
+            }
+            if (parsed.hour.size < 24 && moment.tz(time.format('YYYY-MM-DDTHH:mm'), zone).valueOf() < time.valueOf()) {
+                advance('minute'); // the same wall time has already happened before clocks went back
+                continue;
+            }
+
+            return time.local();
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a field of expression
+     * @param {object} field                    Field description
+     * @param {string} value                    Field value
+     * @param {string} expression               The expression (for error messages)
+     * @return {Set}                            Returns allowed values
+     */
+    _parseField(field, value, expression) {
+        let toNumber = string => {
+            let index = field.names ? field.names.indexOf(string) : -1;
+            let number = (index == -1) ? Number(string) : index + (field.name == 'month' ? 1 : 0);
+            if (string === '' || !Number.isInteger(number) || number < field.min || number > field.max)
+                throw new Error(`Invalid cron ${field.name} '${string}': ${expression}`);
+            return number;
+        };
+
+        let result = new Set();
+        for (let item of value.split(',')) {
+            let [ range, step ] = item.split('/');
+            let from, to;
+            if (range == '*') {
+                from = field.min;
+                to = field.max;
+            } else {
+                let [ first, last ] = range.split('-');
+                from = toNumber(first);
+                to = (typeof last == 'undefined') ? (typeof step == 'undefined' ? from : field.max) : toNumber(last);
+            }
+
+            if (typeof step == 'undefined') {
+                step = 1;
+            } else {
+                step = Number(step);
+                if (!Number.isInteger(step) || step < 1)
+                    throw new Error(`Invalid cron ${field.name} step '${item}': ${expression}`);
+            }
+            if (from > to)
+                throw new Error(`Invalid cron ${field.name} range '${item}': ${expression}`);
+
+            for (let i = from; i <= to; i += step)
+                result.add(i);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check day of month and day of week
+     * @param {object} parsed                   Parsed expression
+     * @param {object} time                     Moment.js object
+     * @return {boolean}
+     */
+    _matchesDay(parsed, time) {
+        let day = parsed.day.has(time.date());
+        let weekday = parsed.weekday.has(time.day());
+
+        if (parsed.anyDay && parsed.anyWeekday)
+            return true;
+        if (parsed.anyDay)
+            return weekday;
+        if (parsed.anyWeekday)
+            return day;
+        return day || weekday;
+    }
+}
+
+module.exports = Cron;
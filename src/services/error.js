@@ -2,6 +2,7 @@
  * Error hepler service
  * @module arpen/services/error
  */
+const http = require('http');
 const VError = require('verror');
 const WError = VError.WError;
 
@@ -31,6 +32,17 @@ class ErrorHelper {
         return [];
     }
 
+    /**
+     * HTTP status codes of the errors named in the error chain (VError 'name' option)
+     * @type {object}
+     */
+    static get namedStatuses() {
+        return {
+            ValidationError: 400,
+            ConflictError: 409,
+        };
+    }
+
     /**
      * Error info object
      * @param {Error} error         Error instance
@@ -40,6 +52,43 @@ class ErrorHelper {
         return VError.info(error);
     }
 
+    /**
+     * HTTP status code of an error
+     * @param {Error} error         Error instance
+     * @return {number}             Returns httpStatus of the info object, status of a named error of the chain
+     *                              (see namedStatuses), client error status set by Express middleware (e.g. body
+     *                              parser) or 500
+     */
+    httpStatus(error) {
+        let info = this.info(error);
+        if (info && info.httpStatus)
+            return info.httpStatus;
+
+        let named = this.namedCause(error);
+        if (named)
+            return this.constructor.namedStatuses[named.name];
+
+        let status = error && (error.status || error.statusCode);
+        return (status >= 400 && status < 500) ? status : 500;
+    }
+
+    /**
+     * Find the error of the chain which has a status in namedStatuses
+     * @param {Error} error         Error instance
+     * @return {Error|null}         Returns the named error or null
+     */
+    namedCause(error) {
+        if (!(error instanceof Error))
+            return null;
+
+        for (let name of Object.keys(this.constructor.namedStatuses)) {
+            let cause = VError.findCauseByName(error, name);
+            if (cause)
+                return cause;
+        }
+        return null;
+    }
+
     /**
      * Flatten WError instance
      * @param {object} error        WError with possible previous errors set
@@ -58,13 +107,56 @@ class ErrorHelper {
         return result.concat(this.flatten(error.cause()));
     }
 
+    /**
+     * Response body of an error for JSON clients
+     * <pre>
+     * {
+     *      error: {
+     *          status: 400,                    // HTTP status code
+     *          message: 'Invalid input',       // error message (status phrase for internal errors, message of
+     *                                          // the named error, see namedStatuses)
+     *          fields: {                       // only for bad requests with field errors
+     *              script: [ 'Script is required' ],
+     *          },
+     *          errors: [ '...' ],              // only when details are requested for internal errors
+     *      },
+     * }
+     * </pre>
+     * @param {Error} error         Error instance
+     * @param {boolean} [details]   Add messages of the error chain to internal errors
+     * @return {object}             Returns response body
+     */
+    body(error, details = false) {
+        let info = this.info(error);
+        let status = this.httpStatus(error);
+        let named = (info && info.httpStatus) ? null : this.namedCause(error);
+
+        let result = {
+            status: status,
+            message: status === 500 ? http.STATUS_CODES[status] : (named || error).message,
+        };
+        if (info && info.fields)
+            result.fields = info.fields;
+        if (details && status === 500) {
+            result.errors = this.flatten(error).map(item => {
+                return item.message;
+            });
+        }
+
+        return { error: result };
+    }
+
     /**
      * Instantiate HTTP 400 error
      * @param {string} [message]    Error message
+     * @param {object} [fields]     Field errors: field name => array of messages
      * @return {WError}             Returns prepared WError instance
      */
-    newBadRequest(message = '400: Bad Request') {
-        return new WError({ info: { httpStatus: 400 } }, message);
+    newBadRequest(message = '400: Bad Request', fields = null) {
+        let info = { httpStatus: 400 };
+        if (fields)
+            info.fields = fields;
+        return new WError({ info: info }, message);
     }
 
     /**
@@ -93,6 +185,15 @@ class ErrorHelper {
     newNotFound(message = '404: Not Found') {
         return new WError({ info: { httpStatus: 404 } }, message);
     }
+
+    /**
+     * Instantiate HTTP 409 error
+     * @param {string} [message]    Error message
+     * @return {WError}             Returns prepared WError instance
+     */
+    newConflict(message = '409: Conflict') {
+        return new WError({ info: { httpStatus: 409 } }, message);
+    }
 }
 
 module.exports = ErrorHelper;
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Job context service
+ * @module arpen/services/job-context
+ */
+const WError = require('verror').WError;
+
+/**
+ * Cancellation signal, mimics DOM AbortSignal
+ * @property {boolean} aborted                      Cancellation was requested
+ * @property {function|null} onabort                Called on cancellation request
+ */
+class CancelSignal {
+    /**
+     * Create the signal
+     */
+    constructor() {
+        this.aborted = false;
+        this.onabort = null;
+        this._listeners = new Set();
+    }
+
+    /**
+     * Add cancellation listener
+     * @param {string} type                         Event type, only 'abort' is supported
+     * @param {function} listener                   The listener
+     */
+    addEventListener(type, listener) {
+        if (type == 'abort')
+            this._listeners.add(listener);
+    }
+
+    /**
+     * Remove cancellation listener
+     * @param {string} type                         Event type, only 'abort' is supported
+     * @param {function} listener                   The listener
+     */
+    removeEventListener(type, listener) {
+        if (type == 'abort')
+            this._listeners.delete(listener);
+    }
+
+    /**
+     * Signal the cancellation
+     */
+    _abort() {
+        if (this.aborted)
+            return;
+
+        this.aborted = true;
+        let event = { type: 'abort', target: this };
+        if (typeof this.onabort == 'function')
+            this.onabort(event);
+        for (let listener of this._listeners)
+            listener(event);
+    }
+}
+
+/**
+ * Context of a running job<br>
+ * <pre>
+ * Passed to the job handler as the second argument of run(input, context) and available in the job scope as
+ * 'jobContext'. Handler should watch context.signal (or call context.throwIfCancelled() between the steps) and
+ * reject when the job is cancelled, the job then ends with 'cancelled' status.
+ * </pre>
+ */
+class JobContext {
+    /**
+     * Create the service
+     * @param {JobModel} job                        The job
+     * @param {JobRepository} jobRepo               Job repository
+     */
+    constructor(job, jobRepo) {
+        this._job = job;
+        this._jobRepo = jobRepo;
+        this._signal = new CancelSignal();
+    }
+
+    /**
+     * Service name is 'jobContext'
+     * @type {string}
+     */
+    static get provides() {
+        return 'jobContext';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'job', 'repositories.job' ];
+    }
+
+    /**
+     * One instance per job
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'perScope';
+    }
+
+    /**
+     * The job
+     * @type {JobModel}
+     */
+    get job() {
+        return this._job;
+    }
+
+    /**
+     * Cancellation signal
+     * @type {CancelSignal}
+     */
+    get signal() {
+        return this._signal;
+    }
+
+    /**
+     * Cancellation was requested
+     * @type {boolean}
+     */
+    get cancelled() {
+        return this._signal.aborted;
+    }
+
+    /**
+     * Report progress: it is saved in the job and published as 'progress' event (see JobEvents)
+     * @param {number} percent                      Percent done (0 - 100)
+     * @param {string} [message]                    Progress message
+     * @return {Promise}
+     */
+    progress(percent, message) {
+        if (typeof percent != 'number' || isNaN(percent))
+            return Promise.reject(new Error('Progress is not a Number'));
+
+        percent = Math.min(100, Math.max(0, Math.round(percent)));
+        message = (typeof message == 'undefined' || message === null) ? null : String(message).slice(0, 255);
+
+        return this._jobRepo.setProgress(this._job, percent, message)
+            .catch(error => {
+                throw new WError(error, 'JobContext.progress()');
+            });
+    }
+
+    /**
+     * Throw if cancellation was requested
+     * @throw {Error}
+     */
+    throwIfCancelled() {
+        if (this.cancelled)
+            throw new Error(`Job ${this._job.id} was cancelled`);
+    }
+
+    /**
+     * Request cancellation (called by the worker)
+     */
+    cancel() {
+        this._signal._abort();
+    }
+}
+
+module.exports = JobContext;
@@ -0,0 +1,284 @@
+/**
+ * Job events service
+ * @module arpen/services/job-events
+ */
+const debug = require('debug')('arpen:job-events');
+const WError = require('verror').WError;
+
+/**
+ * Job events<br>
+ * <pre>
+ * Every job status transition and progress update is published on the 'jobs' channel of postgres.main by
+ * notify_jobs_event() trigger when the transaction is committed:
+ * {
+ *      type: 'succeeded',                      // event type, see below
+ *      id: 1,                                  // job ID
+ *      script: 'script',                       // job script
+ *      queue: null,                            // job queue
+ *      status: 'success',                      // new status of the job
+ *      previousStatus: 'running',              // old status of the job, null for 'created'
+ *      instance: 'server1',                    // creator instance for 'created', otherwise the instance which
+ *                                              // started the job (null if it was not started)
+ *      attempts: 1,                            // number of attempts
+ *      progress: 100,                          // percent done or null
+ *      message: null,                          // progress message or null
+ *      duration: 1500,                         // milliseconds from start to finish or null
+ *      nextAttemptAt: null,                    // time of the next attempt for 'retrying' or null
+ * }
+ *
+ * Event types:
+ *  'created'   - the job is inserted
+ *  'started'   - the job is claimed and running
+ *  'progress'  - the handler has reported progress
+ *  'succeeded' - the job is finished with 'success' status
+ *  'failed'    - the job is finished with 'failure' or 'dead' status
+ *  'expired'   - schedule_end has passed before the job could start
+ *  'cancelled' - the job is cancelled
+ *  'skipped'   - the job is skipped because of its parents
+ *  'retrying'  - the attempt failed, the job will be attempted again at nextAttemptAt
+ *  'requeued'  - the job is pending again (jobs:requeue, retry over the API, hung job reaped)
+ *
+ * Reaper also publishes 'reaped' event (see Reaper).
+ * </pre>
+ */
+class JobEvents {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {PubSub} pubsub                   PubSub service
+     * @param {Logger} logger                   Logger service
+     * @param {JobRepository} jobRepo           Job repository
+     */
+    constructor(app, config, pubsub, logger, jobRepo) {
+        this._app = app;
+        this._config = config;
+        this._pubsub = pubsub;
+        this._logger = logger;
+        this._jobRepo = jobRepo;
+
+        this._client = null;
+    }
+
+    /**
+     * Service name is 'jobEvents'
+     * @type {string}
+     */
+    static get provides() {
+        return 'jobEvents';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'pubsub', 'logger', 'repositories.job' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Channel the events are published on
+     * @type {string}
+     */
+    static get channel() {
+        return 'jobs';
+    }
+
+    /**
+     * Statuses of the finished jobs
+     * @type {string[]}
+     */
+    static get finishedStatuses() {
+        return [ 'success', 'failure', 'expired', 'dead', 'cancelled', 'skipped' ];
+    }
+
+    /**
+     * Subscribe to the events
+     * @param {Subscriber} handler              Handler function receiving event objects
+     * @return {Promise}
+     */
+    subscribe(handler) {
+        return this._connect()
+            .then(client => {
+                return client.subscribe(this.constructor.channel, handler);
+            })
+            .catch(error => {
+                throw new WError(error, 'JobEvents.subscribe()');
+            });
+    }
+
+    /**
+     * Unsubscribe from the events
+     * @param {Subscriber} handler              Handler function given to subscribe()
+     * @return {Promise}
+     */
+    unsubscribe(handler) {
+        if (!this._client)
+            return Promise.resolve();
+
+        return this._client
+            .then(client => {
+                return client.unsubscribe(this.constructor.channel, handler);
+            })
+            .catch(error => {
+                throw new WError(error, 'JobEvents.unsubscribe()');
+            });
+    }
+
+    /**
+     * Publish an event, errors are logged
+     * @param {object} event                    The event
+     * @return {Promise}
+     */
+    publish(event) {
+        return this._connect()
+            .then(client => {
+                return client.publish(this.constructor.channel, event);
+            })
+            .catch(error => {
+                this._logger.error(new WError(error, 'JobEvents.publish()'));
+            });
+    }
+
+    /**
+     * Wait for a job to finish. The job is checked when its events arrive and every jobs.wait_poll_interval seconds
+     * in case an event is missed
+     * @param {number} id                       ID of the job
+     * @param {number} [timeout=0]              Milliseconds to wait, 0 to wait forever
+     * @return {Promise}                        Resolves to the finished JobModel, rejects if the job does not exist
+     *                                          or the timeout is reached
+     */
+    waitForJob(id, timeout = 0) {
+        return new Promise((resolve, reject) => {
+            let done = false, checking = false, checkAgain = false, pollTimer = null, timeoutTimer = null;
+
+            let finish = (error, job) => {
+                if (done)
+                    return;
+
+                done = true;
+                if (pollTimer)
+                    clearInterval(pollTimer);
+                if (timeoutTimer)
+                    clearTimeout(timeoutTimer);
+
+                this.unsubscribe(onEvent)
+                    .catch(error => {
+                        this._logger.error(error);
+                    })
+                    .then(() => {
+                        if (error)
+                            reject(new WError(error, 'JobEvents.waitForJob()'));
+                        else
+                            resolve(job);
+                    });
+            };
+
+            let check = () => {
+                if (done)
+                    return;
+                if (checking) {
+                    checkAgain = true;
+                    return;
+                }
+
+                checking = true;
+                checkAgain = false;
+                Promise.resolve()
+                    .then(() => {
+                        // the event can arrive before the cache is invalidated
+                        return this._jobRepo.find(id, null, { cached: false });
+                    })
+                    .then(jobs => {
+                        if (!jobs.length)
+                            return finish(new Error(`Job ${id} not found`));
+
+                        if (this.constructor.finishedStatuses.indexOf(jobs[0].status) != -1)
+                            finish(null, jobs[0]);
+                    })
+                    .catch(error => {
+                        finish(error);
+                    })
+                    .then(() => {
+                        checking = false;
+                        if (checkAgain)
+                            check();
+                    });
+            };
+
+            let onEvent = event => {
+                if (!event || String(event.id) !== String(id))
+                    return;
+
+                debug(`Job ${id} event: ${event.type}`);
+                if (this.constructor.finishedStatuses.indexOf(event.status) != -1)
+                    check();
+            };
+
+            if (timeout) {
+                timeoutTimer = setTimeout(() => {
+                    finish(new Error(`Timeout waiting for job ${id}`));
+                }, timeout);
+            }
+
+            this.subscribe(onEvent)
+                .catch(error => {
+                    this._logger.error(error);
+                })
+                .then(() => {
+                    if (done)
+                        return;
+
+                    let interval = this._config.get('jobs.wait_poll_interval') || 5;
+                    pollTimer = setInterval(check, interval * 1000);
+                    check();
+                });
+        });
+    }
+
+    /**
+     * Release the PubSub client on app shutdown
+     * @return {Promise}
+     */
+    dispose() {
+        if (!this._client)
+            return Promise.resolve();
+
+        let client = this._client;
+        this._client = null;
+        return client
+            .then(
+                client => {
+                    client.done();
+                },
+                () => {
+                    // do nothing
+                }
+            );
+    }
+
+    /**
+     * Connect to the PubSub server once
+     * @return {Promise}                        Resolves to PubSub client
+     */
+    _connect() {
+        if (!this._client) {
+            this._client = this._pubsub.connect('JobEvents', 'postgres.main');
+            this._client.catch(() => {
+                this._client = null;
+            });
+        }
+
+        return this._client;
+    }
+}
+
+module.exports = JobEvents;
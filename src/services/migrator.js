@@ -0,0 +1,421 @@
+/**
+ * Database migrations service
+ * @module arpen/services/migrator
+ */
+const debug = require('debug')('arpen:migrator');
+const path = require('path');
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Migration step: either a function returning a Promise or an array of SQL statements which are run in order
+ * @callback MigrationStep
+ * @param {PostgresClient} client               Postgres client (in a transaction)
+ * @return {Promise}                            Resolves on success
+ */
+
+/**
+ * Migrations
+ * <pre>
+ * Migration is a .js file in one of the migration directories which exports the following:
+ * {
+ *      up: MigrationStep,      // apply the migration
+ *      down: MigrationStep,    // revert the migration
+ * }
+ * File name is the migration name, it should start with a version (e.g. YYYYMMDDHHmmss) as migrations
+ * from all the directories are applied in the order of their names.
+ * </pre>
+ */
+class Migrator {
+    /**
+     * Create the service
+     * @param {object} config                   Configuration
+     * @param {Postgres} postgres               Postgres service
+     * @param {Filer} filer                     Filer service
+     */
+    constructor(config, postgres, filer) {
+        this._config = config;
+        this._postgres = postgres;
+        this._filer = filer;
+    }
+
+    /**
+     * Service name is 'migrator'
+     * @type {string}
+     */
+    static get provides() {
+        return 'migrator';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'postgres', 'filer' ];
+    }
+
+    /**
+     * Get all the migrations and their status
+     * @param {string} [server='main']          Postgres server name in config
+     * @return {Promise}                        Resolves to array of objects in order of application:
+     * <pre>
+     * {
+     *      name: '20161128000000-initial-schema',
+     *      module: null,                       // module name or null for the application migration
+     *      batch: 1,                           // null if not applied yet
+     *      appliedAt: moment object,           // null if not applied yet
+     * }
+     * </pre>
+     */
+    status(server = 'main') {
+        return Promise.all([
+                this._loadMigrations(),
+                this._run(server, 'Migrator.status', client => {
+                    return this._getApplied(client);
+                }),
+            ])
+            .then(([ migrations, applied ]) => {
+                return migrations.map(migration => {
+                    let row = applied.get(migration.name);
+                    return {
+                        name: migration.name,
+                        module: migration.module,
+                        batch: row ? row.batch : null,
+                        appliedAt: row ? row.appliedAt : null,
+                    };
+                });
+            })
+            .catch(error => {
+                throw new WError(error, 'Migrator.status()');
+            });
+    }
+
+    /**
+     * Apply all the pending migrations as a new batch
+     * @param {string} [server='main']          Postgres server name in config
+     * @return {Promise}                        Resolves to array of applied migration names
+     */
+    migrate(server = 'main') {
+        return this._loadMigrations()
+            .then(migrations => {
+                return this._run(server, 'Migrator.migrate', client => {
+                    return this._getApplied(client)
+                        .then(applied => {
+                            let batch = 0;
+                            for (let row of applied.values())
+                                batch = Math.max(batch, row.batch);
+                            batch++;
+
+                            let pending = migrations.filter(migration => {
+                                return !applied.has(migration.name);
+                            });
+
+                            return pending.reduce(
+                                    (prev, cur) => {
+                                        return prev.then(() => {
+                                            debug(`Applying ${cur.name}`);
+                                            return this._step(client, cur, 'up')
+                                                .then(() => {
+                                                    return client.query(
+                                                        'INSERT ' +
+                                                        '  INTO migrations(name, module, batch, applied_at) ' +
+                                                        'VALUES ($1, $2, $3, $4) ',
+                                                        [ cur.name, cur.module, batch, moment() ]
+                                                    );
+                                                });
+                                        });
+                                    },
+                                    Promise.resolve()
+                                )
+                                .then(() => {
+                                    return pending.map(migration => {
+                                        return migration.name;
+                                    });
+                                });
+                        });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, 'Migrator.migrate()');
+            });
+    }
+
+    /**
+     * Mark the migrations up to and including the given one as applied without running them, as a new batch. This
+     * adopts a database whose schema was created before the migrations (e.g. from the old database/schema.sql)
+     * @param {string} name                     Name of the last migration already present in the database
+     * @param {string} [server='main']          Postgres server name in config
+     * @return {Promise}                        Resolves to array of marked migration names
+     */
+    baseline(name, server = 'main') {
+        return this._loadMigrations()
+            .then(migrations => {
+                if (!migrations.some(migration => { return migration.name == name; }))
+                    throw new Error(`Migration not found: ${name}`);
+
+                return this._run(server, 'Migrator.baseline', client => {
+                    return this._getApplied(client)
+                        .then(applied => {
+                            let batch = 0;
+                            for (let row of applied.values())
+                                batch = Math.max(batch, row.batch);
+                            batch++;
+
+                            let marked = migrations.filter(migration => {
+                                return migration.name.localeCompare(name) <= 0 && !applied.has(migration.name);
+                            });
+
+                            return marked.reduce(
+                                    (prev, cur) => {
+                                        return prev.then(() => {
+                                            debug(`Marking ${cur.name} as applied`);
+                                            return client.query(
+                                                'INSERT ' +
+                                                '  INTO migrations(name, module, batch, applied_at) ' +
+                                                'VALUES ($1, $2, $3, $4) ',
+                                                [ cur.name, cur.module, batch, moment() ]
+                                            );
+                                        });
+                                    },
+                                    Promise.resolve()
+                                )
+                                .then(() => {
+                                    return marked.map(migration => {
+                                        return migration.name;
+                                    });
+                                });
+                        });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, 'Migrator.baseline()');
+            });
+    }
+
+    /**
+     * Revert last batches of migrations
+     * @param {string} [server='main']          Postgres server name in config
+     * @param {number} [steps=1]                Number of batches to revert
+     * @return {Promise}                        Resolves to array of reverted migration names
+     */
+    rollback(server = 'main', steps = 1) {
+        return this._loadMigrations()
+            .then(migrations => {
+                return this._run(server, 'Migrator.rollback', client => {
+                    return this._getApplied(client)
+                        .then(applied => {
+                            let batches = new Set();
+                            for (let row of applied.values())
+                                batches.add(row.batch);
+                            batches = Array.from(batches)
+                                .sort((a, b) => {
+                                    return b - a;
+                                })
+                                .slice(0, steps);
+
+                            let reverted = Array.from(applied.values())
+                                .filter(row => {
+                                    return batches.indexOf(row.batch) != -1;
+                                })
+                                .sort((a, b) => {
+                                    return b.id - a.id;
+                                });
+
+                            return reverted.reduce(
+                                    (prev, cur) => {
+                                        return prev.then(() => {
+                                            let migration = migrations.find(item => {
+                                                return item.name == cur.name;
+                                            });
+                                            if (!migration)
+                                                throw new Error(`Migration not found: ${cur.name}`);
+
+                                            debug(`Reverting ${cur.name}`);
+                                            return this._step(client, migration, 'down')
+                                                .then(() => {
+                                                    return client.query(
+                                                        'DELETE ' +
+                                                        '  FROM migrations ' +
+                                                        ' WHERE id = $1 ',
+                                                        [ cur.id ]
+                                                    );
+                                                });
+                                        });
+                                    },
+                                    Promise.resolve()
+                                )
+                                .then(() => {
+                                    return reverted.map(row => {
+                                        return row.name;
+                                    });
+                                });
+                        });
+                });
+            })
+            .catch(error => {
+                throw new WError(error, 'Migrator.rollback()');
+            });
+    }
+
+    /**
+     * Run a function in a transaction holding the migrations lock, migrations table is created if needed
+     * @param {string} server                   Postgres server name in config
+     * @param {string} name                     Transaction name
+     * @param {function} cb                     Function receiving the client and returning a Promise
+     * @return {Promise}                        Resolves to the callback result
+     */
+    _run(server, name, cb) {
+        return this._postgres.connect(server)
+            .then(client => {
+                return client.transaction({ name: name, isolation: 'read committed' }, rollback => {
+                        return client.query(
+                                'SELECT pg_advisory_xact_lock(hashtext($1)) ',
+                                [ `${this._config.project}:migrations` ]
+                            )
+                            .then(() => {
+                                return client.query(
+                                    'CREATE TABLE IF NOT EXISTS migrations ( ' +
+                                    '    id bigserial NOT NULL, ' +
+                                    '    name varchar(255) NOT NULL, ' +
+                                    '    module varchar(255) NULL, ' +
+                                    '    batch int NOT NULL, ' +
+                                    '    applied_at timestamp NOT NULL, ' +
+                                    '    CONSTRAINT migrations_pk PRIMARY KEY(id), ' +
+                                    '    CONSTRAINT migrations_unique_name UNIQUE (name) ' +
+                                    ') '
+                                );
+                            })
+                            .then(() => {
+                                return cb(client);
+                            });
+                    })
+                    .then(
+                        value => {
+                            client.done();
+                            return value;
+                        },
+                        error => {
+                            client.done();
+                            throw error;
+                        }
+                    );
+            });
+    }
+
+    /**
+     * Load applied migrations
+     * @param {PostgresClient} client           Postgres client
+     * @return {Promise}                        Resolves to Map of name → { id, name, batch, appliedAt }
+     */
+    _getApplied(client) {
+        return client.query(
+                '  SELECT * ' +
+                '    FROM migrations ' +
+                'ORDER BY id ASC '
+            )
+            .then(result => {
+                let applied = new Map();
+                for (let row of result.rows) {
+                    let utcMoment = moment(row.applied_at); // db field is in UTC
+                    applied.set(row.name, {
+                        id: row.id,
+                        name: row.name,
+                        batch: row.batch,
+                        appliedAt: moment.tz(utcMoment.format(this._postgres.constructor.datetimeFormat), 'UTC').local(),
+                    });
+                }
+                return applied;
+            });
+    }
+
+    /**
+     * Run migration step
+     * @param {PostgresClient} client           Postgres client
+     * @param {object} migration                Migration
+     * @param {string} direction                'up' or 'down'
+     * @return {Promise}
+     */
+    _step(client, migration, direction) {
+        let step = migration[direction];
+        if (Array.isArray(step)) {
+            return step.reduce(
+                (prev, cur) => {
+                    return prev.then(() => {
+                        return client.query(cur);
+                    });
+                },
+                Promise.resolve()
+            );
+        }
+
+        if (typeof step != 'function')
+            return Promise.reject(new Error(`Migration ${migration.name} has no '${direction}' step`));
+
+        let result = step(client);
+        if (result === null || typeof result != 'object' || typeof result.then != 'function')
+            return Promise.reject(new Error(`Migration ${migration.name} '${direction}' did not return a Promise`));
+
+        return result;
+    }
+
+    /**
+     * Find all the migrations of the application and the modules
+     * @return {Promise}                        Resolves to array of migrations sorted by name
+     */
+    _loadMigrations() {
+        let dirs = [];
+        for (let dir of this._config.migrations || [])
+            dirs.push({ module: null, dir: dir[0] == '/' ? dir : path.join(__dirname, '..', '..', dir) });
+        for (let _module of this._config.modules) {
+            for (let dir of _module.migrations || []) {
+                dirs.push({
+                    module: _module.name,
+                    dir: dir[0] == '/' ? dir : path.join(__dirname, '..', '..', 'modules', _module.name, dir)
+                });
+            }
+        }
+
+        let migrations = new Map();
+        return dirs.reduce(
+                (prev, cur) => {
+                    return prev.then(() => {
+                        return this._filer.process(cur.dir, filename => {
+                            if (!/\.js$/.test(filename))
+                                return Promise.resolve();
+
+                            return new Promise((resolve, reject) => {
+                                let name = path.basename(filename, '.js');
+                                if (migrations.has(name))
+                                    return reject(new Error(`Duplicate migration name: ${name}`));
+
+                                let migration;
+                                try {
+                                    migration = require(filename);
+                                } catch (error) {
+                                    return reject(new WError(error, `Could not load ${filename}`));
+                                }
+
+                                migrations.set(name, {
+                                    name: name,
+                                    module: cur.module,
+                                    up: migration.up,
+                                    down: migration.down,
+                                });
+                                resolve();
+                            });
+                        });
+                    });
+                },
+                Promise.resolve()
+            )
+            .then(() => {
+                return Array.from(migrations.values())
+                    .sort((a, b) => {
+                        return a.name.localeCompare(b.name);
+                    });
+            });
+    }
+}
+
+module.exports = Migrator;
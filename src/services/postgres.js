@@ -45,7 +45,7 @@ class PostgresClient {
      * Client termination
      */
     done() {
-        return this._done;
+        return this._done();
     }
 
     /**
@@ -127,7 +127,8 @@ class PostgresClient {
         let params = { isolation: 'serializable' }, cb;
         if (arguments.length >= 2) {
             params.name = arguments[0].name;
-            params.isolation = arguments[0].isolation;
+            if (arguments[0].isolation)
+                params.isolation = arguments[0].isolation;
             cb = arguments[1];
         } else if (arguments.length == 1) {
             cb = arguments[0];
@@ -314,11 +315,12 @@ class Postgres {
      * Convert Model instance to object<br>
      * Moment.js values are converted to strings in UTC timezone
      * @param {Model} model                     An instance of Model
+     * @param {string[]} [fields]               DB field names to convert, all the fields by default
      * @return {object}                         Returns object with the same fields
      */
-    static serializeModel(model) {
+    static serializeModel(model, fields = null) {
         let data = {};
-        for (let field of model._fields.keys()) {
+        for (let field of fields || model._fields.keys()) {
             let value = model._getField(field);
             if (value instanceof Date)
                 value = moment(value);
@@ -331,23 +333,24 @@ class Postgres {
 
     /**
      * Load object data into Model instance<br>
-     * Date fields are expected to be in UTC timezone and are converted into local timezone Moment.js objects
+     * Date fields are expected to be in UTC timezone and are converted into local timezone Moment.js objects, other
+     * values are coerced to the types of the model schema
      * @param {Model} model                     Model to load values to
      * @param {object} data                     Raw DB data object
      */
     static unserializeModel(model, data) {
-        for (let field of model._fields.keys()) {
+        for (let field of model.constructor.getSchema().values()) {
             let value;
-            if (typeof data[field] != 'undefined') {
-                value = data[field];
+            if (typeof data[field.column] != 'undefined') {
+                value = data[field.column];
                 if (value instanceof Date) {
                     let utcMoment = moment(value); // db field is in UTC
                     value = moment.tz(utcMoment.format(this.datetimeFormat), 'UTC').local();
                 }
             }
-            model._setField(field, value);
+            model._setField(field.column, model.constructor.coerce(value, field.type));
         }
-        model._dirty = false;
+        model.reset();
     }
 
     /**
@@ -385,6 +388,24 @@ class Postgres {
                 });
             });
     }
+
+    /**
+     * Close all the pools
+     * @return {Promise}                        Resolves when all the clients are disconnected
+     */
+    dispose() {
+        let pools = Array.from(this._pool);
+        this._pool.clear();
+
+        return Promise.all(pools.map(([ name, pool ]) => {
+            debug(`Closing pool ${name}`);
+            return new Promise(resolve => {
+                pool.end(() => {
+                    resolve();
+                });
+            });
+        }));
+    }
 }
 
 module.exports = Postgres;
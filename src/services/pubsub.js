@@ -17,7 +17,7 @@ const WError = require('verror').WError;
  * Postgres PUBSUB client
  * @property {object} pubConnector                  PUB client connector (PostgresClient)
  * @property {object} subClient                     SUB client (PGPubSub)
- * @property {Map} channels                         Registered channels (name → Set of handlers)
+ * @property {Map} channels                         Registered channels (name → Map of handlers to their listeners)
  */
 class PostgresPubSub {
     /**
@@ -51,7 +51,7 @@ class PostgresPubSub {
     subscribe(channel, handler) {
         return new Promise((resolve, reject) => {
                 try {
-                    let handlers = new Set();
+                    let handlers = new Map();
                     if (this.channels.has(channel))
                         handlers = this.channels.get(channel);
                     else
@@ -60,14 +60,12 @@ class PostgresPubSub {
                     if (handlers.has(handler))
                         return reject(new Error(`Channel already subscribed: ${channel}`));
 
-                    this.subClient.addChannel(
-                        channel,
-                        message => {
-                            debug(`Received ${channel} (Postgres)`);
-                            handler(message);
-                        }
-                    );
-                    handlers.add(handler);
+                    let listener = message => {
+                        debug(`Received ${channel} (Postgres)`);
+                        handler(message);
+                    };
+                    this.subClient.addChannel(channel, listener);
+                    handlers.set(handler, listener);
 
                     resolve();
                 } catch (error) {
@@ -91,7 +89,7 @@ class PostgresPubSub {
                     if (!handlers.has(handler))
                         return reject(new Error(`No such handler in the channel: ${channel}`));
 
-                    this.subClient.removeChannel(channel, handler);
+                    this.subClient.removeChannel(channel, handlers.get(handler));
 
                     handlers.delete(handler);
                     if (!handlers.size)
@@ -113,7 +111,7 @@ class PostgresPubSub {
     publish(channel, message) {
         return this.pubConnector()
             .then(pub => {
-                return pub.query('NOTIFY $1, $2', [ channel, JSON.stringify(message) ])
+                return pub.query('SELECT pg_notify($1, $2)', [ channel, JSON.stringify(message) ])
                     .then(
                         value => {
                             pub.done();
@@ -380,6 +378,25 @@ class PubSub {
                 return pubsub;
             });
     }
+
+    /**
+     * Terminate cached clients
+     * @return {Promise}
+     */
+    dispose() {
+        return new Promise((resolve, reject) => {
+                try {
+                    for (let [ name, pubsub ] of this._cache) {
+                        debug(`Terminating ${name}`);
+                        pubsub.done();
+                    }
+                    this._cache.clear();
+                    resolve();
+                } catch (error) {
+                    reject(new WError(error, 'PubSub.dispose()'));
+                }
+            });
+    }
 }
 
 module.exports = PubSub;
\ No newline at end of file
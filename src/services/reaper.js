@@ -0,0 +1,166 @@
+/**
+ * Hung jobs reaper service
+ * @module arpen/services/reaper
+ */
+const debug = require('debug')('arpen:reaper');
+const WError = require('verror').WError;
+
+/**
+ * Hung jobs reaper<br>
+ * <pre>
+ * Workers refresh heartbeat_at of their running jobs every jobs.heartbeat_interval seconds. Every
+ * jobs.reap_interval seconds the reaper returns running jobs of any instance to the pending state when their
+ * heartbeat is older than jobs.heartbeat_timeout seconds (jobs.heartbeat_timeouts can override it per script).
+ * The abandoned run counts as an attempt: the job becomes dead when its max_attempts (jobs.retry.max_attempts if the
+ * job has none) is reached.
+ *
+ * Every reaped job is logged and published as JobEvents event (in addition to its status transition event):
+ * {
+ *      type: 'reaped',
+ *      id: 1,                                  // job ID
+ *      script: 'script',                       // job script
+ *      status: 'pending',                      // new status of the job: 'pending', 'cancelled' or 'dead'
+ *      instance: 'server1',                    // instance which abandoned the job
+ *      heartbeatAt: 1476000000000,             // time of the last heartbeat or null
+ * }
+ * </pre>
+ */
+class Reaper {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {JobEvents} jobEvents             JobEvents service
+     * @param {Logger} logger                   Logger service
+     * @param {JobRepository} jobRepo           Job repository
+     */
+    constructor(app, config, jobEvents, logger, jobRepo) {
+        this._app = app;
+        this._config = config;
+        this._jobEvents = jobEvents;
+        this._logger = logger;
+        this._jobRepo = jobRepo;
+
+        this._timer = null;
+        this._reaping = null;
+    }
+
+    /**
+     * Service name is 'reaper'
+     * @type {string}
+     */
+    static get provides() {
+        return 'reaper';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'jobEvents', 'logger', 'repositories.job' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Start reaping the jobs
+     * @return {Promise}
+     */
+    start() {
+        if (this._timer)
+            return Promise.reject(new Error('Reaper is already started'));
+
+        debug('Starting');
+        let interval = this._config.get('jobs.reap_interval') || 30;
+        this._timer = setInterval(this.tick.bind(this), interval * 1000);
+        this.tick();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop reaping the jobs
+     * @return {Promise}                        Resolves when current check is finished
+     */
+    stop() {
+        if (!this._timer)
+            return Promise.resolve();
+
+        debug('Stopping');
+        clearInterval(this._timer);
+        this._timer = null;
+
+        return (this._reaping || Promise.resolve())
+            .then(() => {
+                // do nothing
+            });
+    }
+
+    /**
+     * Stop the reaper on app shutdown
+     * @return {Promise}
+     */
+    dispose() {
+        return this.stop();
+    }
+
+    /**
+     * Reap the jobs with stale heartbeat
+     * @return {Promise}                        Resolves to array of reaped jobs
+     */
+    tick() {
+        if (this._reaping)
+            return this._reaping.then(() => { return []; });
+
+        this._reaping = this._jobRepo
+            .reapStale(
+                this._config.get('jobs.heartbeat_timeout') || 60,
+                this._config.get('jobs.heartbeat_timeouts'),
+                this._config.get('jobs.retry.max_attempts') || 1
+            )
+            .then(jobs => {
+                return jobs.reduce(
+                        (prev, job) => {
+                            return prev.then(() => {
+                                this._logger.warn(
+                                    `Job ${job.id} (${job.script}) was abandoned by ${job.startedBy}, last heartbeat: ` +
+                                    (job.heartbeatAt ? job.heartbeatAt.format('YYYY-MM-DD HH:mm:ss') : 'never')
+                                );
+
+                                return this._jobEvents.publish({
+                                    type: 'reaped',
+                                    id: job.id,
+                                    script: job.script,
+                                    status: job.status,
+                                    instance: job.startedBy,
+                                    heartbeatAt: job.heartbeatAt ? job.heartbeatAt.valueOf() : null,
+                                });
+                            });
+                        },
+                        Promise.resolve()
+                    )
+                    .then(() => {
+                        return jobs;
+                    });
+            })
+            .catch(error => {
+                this._logger.error(new WError(error, 'Reaper.tick()'));
+                return [];
+            })
+            .then(jobs => {
+                this._reaping = null;
+                return jobs;
+            });
+
+        return this._reaping;
+    }
+}
+
+module.exports = Reaper;
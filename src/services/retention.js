@@ -0,0 +1,272 @@
+/**
+ * Job retention service
+ * @module arpen/services/retention
+ */
+const path = require('path');
+const zlib = require('zlib');
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Job retention<br>
+ * <pre>
+ * Finished jobs which are not retained by jobs.retention.policies anymore (see JobRepository.findExpired()) are
+ * removed from jobs table according to jobs.retention.archive:
+ *  'table' - moved to jobs_archive table
+ *  'file'  - saved to gzipped NDJSON files in jobs.retention.archive_dir, one JSON object (jobs record) per line
+ *  null    - deleted
+ *
+ * The policies are applied by 'jobs:purge' command and by 'retention' job which is run according to
+ * jobs.retention.schedule cron expression (the worker creates its job schedule).
+ * </pre>
+ */
+class Retention {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {Postgres} postgres               Postgres service
+     * @param {Filer} filer                     Filer service
+     * @param {Logger} logger                   Logger service
+     * @param {JobRepository} jobRepo           Job repository
+     * @param {JobScheduleRepository} jobScheduleRepo Job schedule repository
+     */
+    constructor(app, config, postgres, filer, logger, jobRepo, jobScheduleRepo) {
+        this._app = app;
+        this._config = config;
+        this._postgres = postgres;
+        this._filer = filer;
+        this._logger = logger;
+        this._jobRepo = jobRepo;
+        this._jobScheduleRepo = jobScheduleRepo;
+    }
+
+    /**
+     * Service name is 'retention'
+     * @type {string}
+     */
+    static get provides() {
+        return 'retention';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres', 'filer', 'logger', 'repositories.job', 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Name of the job schedule of 'retention' job
+     * @type {string}
+     */
+    static get scheduleName() {
+        return 'jobs-retention';
+    }
+
+    /**
+     * Archive modes
+     * @type {Array}
+     */
+    static get archiveModes() {
+        return [ 'table', 'file', null ];
+    }
+
+    /**
+     * Configured retention policies
+     * @type {object[]}
+     */
+    get policies() {
+        let policies = this._config.get('jobs.retention.policies');
+        return Array.isArray(policies) ? policies : [];
+    }
+
+    /**
+     * Configured archive mode
+     * @type {string|null}
+     */
+    get archiveMode() {
+        let mode = this._config.get('jobs.retention.archive');
+        return typeof mode == 'undefined' ? 'table' : mode;
+    }
+
+    /**
+     * Apply the retention policies
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false]  Only count the jobs
+     * @return {Promise}                        Resolves to { expired, archived, deleted, files }
+     */
+    run({ dryRun = false } = {}) {
+        let jobRepo = this._jobRepo;
+        let mode = this.archiveMode;
+        if (this.constructor.archiveModes.indexOf(mode) == -1)
+            return Promise.reject(new Error(`Invalid jobs archive mode: ${mode}`));
+        if (mode == 'file' && !this._config.get('jobs.retention.archive_dir'))
+            return Promise.reject(new Error('Jobs archive directory is not configured'));
+
+        if (dryRun) {
+            return jobRepo.findExpired(this.policies)
+                .then(ids => {
+                    return { expired: ids.length, archived: 0, deleted: 0, files: [] };
+                })
+                .catch(error => {
+                    throw new WError(error, 'Retention.run()');
+                });
+        }
+
+        let result = { expired: 0, archived: 0, deleted: 0, files: [] };
+        let batch = this._config.get('jobs.retention.batch') || 1000;
+        let next = () => {
+            return jobRepo.findExpired(this.policies, batch)
+                .then(ids => {
+                    if (!ids.length)
+                        return result;
+
+                    result.expired += ids.length;
+                    let promise;
+                    switch (mode) {
+                        case 'table':
+                            promise = jobRepo.archive(ids)
+                                .then(count => {
+                                    result.archived += count;
+                                });
+                            break;
+                        case 'file':
+                            promise = this.archiveFile(ids)
+                                .then(archived => {
+                                    result.archived += archived.count;
+                                    if (archived.file)
+                                        result.files.push(archived.file);
+                                });
+                            break;
+                        default:
+                            promise = jobRepo.purge(ids)
+                                .then(jobs => {
+                                    result.deleted += jobs.length;
+                                });
+                    }
+                    return promise.then(() => {
+                        return ids.length < batch ? result : next();
+                    });
+                });
+        };
+
+        return next()
+            .then(result => {
+                if (result.expired) {
+                    this._logger.info(
+                        `Jobs retention: ${result.archived} archived, ${result.deleted} deleted` +
+                        (result.files.length ? ` (${result.files.join(', ')})` : '')
+                    );
+                }
+                return result;
+            })
+            .catch(error => {
+                throw new WError(error, 'Retention.run()');
+            });
+    }
+
+    /**
+     * Delete jobs and save them to a gzipped NDJSON file, jobs are not deleted if the file could not be saved
+     * @param {number[]} ids                    IDs of the jobs
+     * @return {Promise}                        Resolves to { count, file }
+     */
+    archiveFile(ids) {
+        let dir = this._config.get('jobs.retention.archive_dir');
+        return this._filer.createDirectory(dir)
+            .then(() => {
+                return this._postgres.connect();
+            })
+            .then(client => {
+                return client.transaction({ name: 'Retention.archiveFile', isolation: 'read committed' }, rollback => {
+                        return this._jobRepo.purge(ids, client)
+                            .then(jobs => {
+                                if (!jobs.length)
+                                    return { count: 0, file: null };
+
+                                let lines = jobs.map(job => {
+                                    return JSON.stringify(this._postgres.constructor.serializeModel(job)) + '\n';
+                                });
+                                let file = path.join(
+                                    dir,
+                                    `jobs-${moment().format('YYYYMMDD-HHmmss')}-${jobs[0].id}.ndjson.gz`
+                                );
+                                return this._filer.lockWriteBuffer(file, zlib.gzipSync(lines.join('')))
+                                    .then(
+                                        () => {
+                                            return { count: jobs.length, file: file };
+                                        },
+                                        error => {
+                                            return this._filer.remove(file)
+                                                .catch(() => {
+                                                    // do nothing
+                                                })
+                                                .then(() => {
+                                                    throw error;
+                                                });
+                                        }
+                                    );
+                            });
+                    })
+                    .then(
+                        value => {
+                            client.done();
+                            return value;
+                        },
+                        error => {
+                            client.done();
+                            throw error;
+                        }
+                    );
+            });
+    }
+
+    /**
+     * Create, update or delete the job schedule of 'retention' job according to jobs.retention.schedule
+     * @return {Promise}
+     */
+    schedule() {
+        let cron = this._config.get('jobs.retention.schedule') || null;
+        let jobScheduleRepo = this._jobScheduleRepo;
+        return jobScheduleRepo.findByName(this.constructor.scheduleName)
+            .then(schedules => {
+                let schedule = schedules.length ? schedules[0] : null;
+                if (!cron)
+                    return schedule && jobScheduleRepo.delete(schedule);
+
+                if (schedule && schedule.cron == cron)
+                    return;
+
+                if (!schedule) {
+                    schedule = this._app.get('models.jobSchedule');
+                    schedule.name = this.constructor.scheduleName;
+                    schedule.timezone = null;
+                    schedule.queue = null;
+                    schedule.script = 'retention';
+                    schedule.input = {};
+                    schedule.target = null;
+                    schedule.maxAttempts = null;
+                    schedule.paused = false;
+                    schedule.lastRunAt = null;
+                    schedule.createdAt = moment();
+                }
+                schedule.cron = cron;
+                schedule.nextRunAt = null;
+                return jobScheduleRepo.save(schedule);
+            })
+            .catch(error => {
+                throw new WError(error, 'Retention.schedule()');
+            });
+    }
+}
+
+module.exports = Retention;
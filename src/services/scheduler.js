@@ -0,0 +1,130 @@
+/**
+ * Job scheduler service
+ * @module arpen/services/scheduler
+ */
+const debug = require('debug')('arpen:scheduler');
+const WError = require('verror').WError;
+
+/**
+ * Job scheduler<br>
+ * <pre>
+ * Every jobs.schedule_interval seconds the jobs of the due job_schedules occurrences are created with
+ * JobScheduleRepository.processDue(). Any number of instances can run the scheduler at the same time, every
+ * occurrence results in one job only.
+ * </pre>
+ */
+class Scheduler {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {Logger} logger                   Logger service
+     * @param {JobScheduleRepository} jobScheduleRepo Job schedule repository
+     */
+    constructor(app, config, logger, jobScheduleRepo) {
+        this._app = app;
+        this._config = config;
+        this._logger = logger;
+        this._jobScheduleRepo = jobScheduleRepo;
+
+        this._timer = null;
+        this._ticking = null;
+    }
+
+    /**
+     * Service name is 'scheduler'
+     * @type {string}
+     */
+    static get provides() {
+        return 'scheduler';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'logger', 'repositories.jobSchedule' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Start creating the jobs
+     * @return {Promise}
+     */
+    start() {
+        if (this._timer)
+            return Promise.reject(new Error('Scheduler is already started'));
+
+        debug('Starting');
+        let interval = this._config.get('jobs.schedule_interval') || 10;
+        this._timer = setInterval(this.tick.bind(this), interval * 1000);
+        this.tick();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop creating the jobs
+     * @return {Promise}                        Resolves when current check is finished
+     */
+    stop() {
+        if (!this._timer)
+            return Promise.resolve();
+
+        debug('Stopping');
+        clearInterval(this._timer);
+        this._timer = null;
+
+        return this._ticking || Promise.resolve();
+    }
+
+    /**
+     * Stop the scheduler on app shutdown
+     * @return {Promise}
+     */
+    dispose() {
+        return this.stop();
+    }
+
+    /**
+     * Create the jobs of due schedules
+     * @return {Promise}                        Resolves to array of created job IDs
+     */
+    tick() {
+        if (this._ticking)
+            return this._ticking.then(() => { return []; });
+
+        this._ticking = this._jobScheduleRepo.processDue()
+            .then(result => {
+                for (let schedule of result.invalid) {
+                    this._logger.warn(
+                        `Job schedule '${schedule.name}' is paused: invalid cron expression or timezone, ` +
+                        'or it never occurs again'
+                    );
+                }
+                if (result.jobs.length)
+                    debug(`Created jobs: ${result.jobs.join(', ')}`);
+                return result.jobs;
+            })
+            .catch(error => {
+                this._logger.error(new WError(error, 'Scheduler.tick()'));
+                return [];
+            })
+            .then(jobs => {
+                this._ticking = null;
+                return jobs;
+            });
+
+        return this._ticking;
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,287 @@
+/**
+ * Database seeding service
+ * @module arpen/services/seeder
+ */
+const debug = require('debug')('arpen:seeder');
+const path = require('path');
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+const UserModel = require('../models/user');
+
+/**
+ * Seeder
+ * <pre>
+ * Seed is a .js file in one of the seed directories which exports the following:
+ * {
+ *      roles: [
+ *          { name: 'Administrator', parent: 'Authenticated' },     // parent is a role name or null
+ *      ],
+ *      permissions: [
+ *          { role: 'Administrator', resource: null, action: null },
+ *      ],
+ *      users: [
+ *          {
+ *              name: 'Administrator',
+ *              email: 'admin@localhost',
+ *              password: null,                                     // null to generate a random one
+ *              roles: [ 'Administrator' ],
+ *          },
+ *      ],
+ * }
+ * Seeds from all the directories are applied in the order of their file names. Existing records (roles and users
+ * are matched by name and email) are not modified, so seeding can be run repeatedly.
+ * </pre>
+ */
+class Seeder {
+    /**
+     * Create the service
+     * @param {object} config                   Configuration
+     * @param {Postgres} postgres               Postgres service
+     * @param {Filer} filer                     Filer service
+     * @param {Util} util                       Util service
+     */
+    constructor(config, postgres, filer, util) {
+        this._config = config;
+        this._postgres = postgres;
+        this._filer = filer;
+        this._util = util;
+    }
+
+    /**
+     * Service name is 'seeder'
+     * @type {string}
+     */
+    static get provides() {
+        return 'seeder';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'postgres', 'filer', 'util' ];
+    }
+
+    /**
+     * Length of generated passwords
+     * @type {number}
+     */
+    static get passwordLength() {
+        return 10;
+    }
+
+    /**
+     * Apply all the seeds
+     * @param {string} [server='main']          Postgres server name in config
+     * @return {Promise}                        Resolves to the following:
+     * <pre>
+     * {
+     *      roles: 3,                           // number of created roles
+     *      permissions: 1,                     // number of created permissions
+     *      users: [                            // created users
+     *          { email: 'admin@localhost', password: 'generated' },
+     *      ],
+     * }
+     * </pre>
+     */
+    seed(server = 'main') {
+        return this._loadSeeds()
+            .then(seeds => {
+                return this._postgres.connect(server)
+                    .then(client => {
+                        return client.transaction({ name: 'Seeder.seed', isolation: 'serializable' }, rollback => {
+                                let result = { roles: 0, permissions: 0, users: [] };
+                                return seeds.reduce(
+                                        (prev, cur) => {
+                                            return prev.then(() => {
+                                                debug(`Applying ${cur.name}`);
+                                                return this._apply(client, cur.data, result);
+                                            });
+                                        },
+                                        Promise.resolve()
+                                    )
+                                    .then(() => {
+                                        return result;
+                                    });
+                            })
+                            .then(
+                                value => {
+                                    client.done();
+                                    return value;
+                                },
+                                error => {
+                                    client.done();
+                                    throw error;
+                                }
+                            );
+                    });
+            })
+            .catch(error => {
+                throw new WError(error, 'Seeder.seed()');
+            });
+    }
+
+    /**
+     * Apply one seed
+     * @param {PostgresClient} client           Postgres client
+     * @param {object} data                     Seed data
+     * @param {object} result                   Result to update
+     * @return {Promise}
+     */
+    _apply(client, data, result) {
+        let findRole = name => {
+            return client.query(
+                    'SELECT id ' +
+                    '  FROM roles ' +
+                    ' WHERE name = $1 ',
+                    [ name ]
+                )
+                .then(roleResult => {
+                    if (!roleResult.rowCount)
+                        throw new Error(`Role not found: ${name}`);
+
+                    return roleResult.rows[0].id;
+                });
+        };
+
+        return (data.roles || []).reduce(
+                (prev, cur) => {
+                    return prev
+                        .then(() => {
+                            return cur.parent ? findRole(cur.parent) : null;
+                        })
+                        .then(parentId => {
+                            return client.query(
+                                'INSERT ' +
+                                '  INTO roles(parent_id, name) ' +
+                                'VALUES ($1, $2) ' +
+                                '    ON CONFLICT (name) DO NOTHING ' +
+                                'RETURNING id ',
+                                [ parentId, cur.name ]
+                            );
+                        })
+                        .then(roleResult => {
+                            result.roles += roleResult.rowCount;
+                        });
+                },
+                Promise.resolve()
+            )
+            .then(() => {
+                return (data.permissions || []).reduce(
+                    (prev, cur) => {
+                        return prev
+                            .then(() => {
+                                return findRole(cur.role);
+                            })
+                            .then(roleId => {
+                                return client.query(
+                                    'INSERT ' +
+                                    '  INTO permissions(role_id, resource, action) ' +
+                                    'SELECT $1::bigint, $2::varchar, $3::varchar ' +
+                                    ' WHERE NOT EXISTS ( ' +
+                                    '           SELECT id ' +
+                                    '             FROM permissions ' +
+                                    '            WHERE role_id = $1::bigint ' +
+                                    '              AND resource IS NOT DISTINCT FROM $2::varchar ' +
+                                    '              AND action IS NOT DISTINCT FROM $3::varchar ' +
+                                    '       ) ',
+                                    [ roleId, cur.resource || null, cur.action || null ]
+                                );
+                            })
+                            .then(permissionResult => {
+                                result.permissions += permissionResult.rowCount;
+                            });
+                    },
+                    Promise.resolve()
+                );
+            })
+            .then(() => {
+                return (data.users || []).reduce(
+                    (prev, cur) => {
+                        let password = cur.password ||
+                            this._util.getRandomString(this.constructor.passwordLength, { special: false });
+                        return prev
+                            .then(() => {
+                                return client.query(
+                                    'INSERT ' +
+                                    '  INTO users(name, email, password, created_at) ' +
+                                    'VALUES ($1, $2, $3, $4) ' +
+                                    '    ON CONFLICT (email) DO NOTHING ' +
+                                    'RETURNING id ',
+                                    [ cur.name || null, cur.email, UserModel.encryptPassword(password), moment() ]
+                                );
+                            })
+                            .then(userResult => {
+                                if (!userResult.rowCount)
+                                    return;
+
+                                result.users.push({ email: cur.email, password: cur.password ? null : password });
+                                return (cur.roles || []).reduce(
+                                    (prevRole, curRole) => {
+                                        return prevRole
+                                            .then(() => {
+                                                return findRole(curRole);
+                                            })
+                                            .then(roleId => {
+                                                return client.query(
+                                                    'INSERT ' +
+                                                    '  INTO user_roles(user_id, role_id) ' +
+                                                    'VALUES ($1, $2) ' +
+                                                    '    ON CONFLICT DO NOTHING ',
+                                                    [ userResult.rows[0].id, roleId ]
+                                                );
+                                            });
+                                    },
+                                    Promise.resolve()
+                                );
+                            });
+                    },
+                    Promise.resolve()
+                );
+            });
+    }
+
+    /**
+     * Find all the seeds of the application and the modules
+     * @return {Promise}                        Resolves to array of { name, data } sorted by name
+     */
+    _loadSeeds() {
+        let dirs = [];
+        for (let dir of this._config.seeds || [])
+            dirs.push(dir[0] == '/' ? dir : path.join(__dirname, '..', '..', dir));
+        for (let _module of this._config.modules) {
+            for (let dir of _module.seeds || [])
+                dirs.push(dir[0] == '/' ? dir : path.join(__dirname, '..', '..', 'modules', _module.name, dir));
+        }
+
+        let seeds = [];
+        return dirs.reduce(
+                (prev, cur) => {
+                    return prev.then(() => {
+                        return this._filer.process(cur, filename => {
+                            if (!/\.js$/.test(filename))
+                                return Promise.resolve();
+
+                            return new Promise((resolve, reject) => {
+                                try {
+                                    seeds.push({ name: path.basename(filename, '.js'), data: require(filename) });
+                                    resolve();
+                                } catch (error) {
+                                    reject(new WError(error, `Could not load ${filename}`));
+                                }
+                            });
+                        });
+                    });
+                },
+                Promise.resolve()
+            )
+            .then(() => {
+                return seeds.sort((a, b) => {
+                    return a.name.localeCompare(b.name);
+                });
+            });
+    }
+}
+
+module.exports = Seeder;
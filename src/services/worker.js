@@ -0,0 +1,515 @@
+/**
+ * Job worker service
+ * @module arpen/services/worker
+ */
+const debug = require('debug')('arpen:worker');
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Job worker<br>
+ * <pre>
+ * Pending jobs are claimed and run by the handler service named 'jobs.' + job.script. The handler should have the
+ * following method:
+ *
+ * run(input, context) - returns a Promise resolving to the job output
+ *
+ * Every job is run in its own scope (the job model is available in the scope as 'job' and its JobContext as
+ * 'jobContext'). The handler reports progress with context.progress(percent, message) and should observe
+ * context.signal: when cancellation of a running job is requested (JobRepository.cancel()) the worker learns it on
+ * the next heartbeat and aborts the signal, the job which fails after that ends with 'cancelled' status.
+ *
+ * Job status transitions and progress are published as events (see JobEvents).
+ *
+ * Jobs are claimed according to jobs.claim_strategy:
+ *  'serializable' - JobRepository.processPending(): all the pending jobs in a serializable transaction, which is
+ *                   retried on serialization failure when several instances compete
+ *  'skip_locked'  - JobRepository.claimPending(): up to jobs.claim_batch jobs using row locks, instances never
+ *                   conflict
+ *
+ * A job can depend on other jobs (depends_on column, see Workflow service): it is not claimed until all its parents
+ * succeed (or are skipped). If a parent fails the job's on_parent_failure decides: 'cancel' - the job is cancelled,
+ * 'skip' - the job is skipped, 'continue' - the job runs anyway once all the parents are finished. When the input of
+ * such a job is an object the handler receives it with 'parents' key added: array of { id, status, output } of the
+ * parent jobs in the order of depends_on.
+ *
+ * Jobs with higher priority are claimed first. A queue runs as many jobs at once as its limits allow (job_queues table
+ * or jobs.queues configuration, see JobQueueRepository.getLimits()).
+ *
+ * Heartbeat of the running jobs is refreshed every jobs.heartbeat_interval seconds (see Reaper).
+ *
+ * Failed job is attempted again after a delay until its max_attempts is reached, then its status becomes 'dead' (at
+ * once if the retry strategy is invalid).
+ * Retry policy defaults are in jobs.retry configuration section, the handler can override them with its 'retry'
+ * property (same keys as in the configuration) and the job itself can override max_attempts.
+ * </pre>
+ */
+class Worker {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {PubSub} pubsub                   PubSub service
+     * @param {Logger} logger                   Logger service
+     * @param {ErrorHelper} error               Error helper service
+     * @param {Util} util                       Util service
+     * @param {JobRepository} jobRepo           Job repository
+     */
+    constructor(app, config, pubsub, logger, error, util, jobRepo) {
+        this._app = app;
+        this._config = config;
+        this._pubsub = pubsub;
+        this._logger = logger;
+        this._error = error;
+        this._util = util;
+        this._jobRepo = jobRepo;
+
+        this._started = false;
+        this._timer = null;
+        this._heartbeatTimer = null;
+        this._subscriber = null;
+        this._polling = false;
+        this._pollAgain = false;
+        this._jobs = new Set();
+        this._running = new Map();
+        this._stopped = null;
+        this._resolveStopped = null;
+    }
+
+    /**
+     * Service name is 'worker'
+     * @type {string}
+     */
+    static get provides() {
+        return 'worker';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'pubsub', 'logger', 'error', 'util', 'repositories.job' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Claim strategies
+     * @type {string[]}
+     */
+    static get claimStrategies() {
+        return [ 'serializable', 'skip_locked' ];
+    }
+
+    /**
+     * Retry strategies
+     * @type {string[]}
+     */
+    static get retryStrategies() {
+        return [ 'fixed', 'linear', 'exponential' ];
+    }
+
+    /**
+     * Postgres channel notified about new pending jobs
+     * @type {string}
+     */
+    static get pendingChannel() {
+        return 'jobs_pending';
+    }
+
+    /**
+     * Start processing jobs: jobs left running by this instance are restarted, then pending jobs are polled every
+     * jobs.poll_interval seconds and on notification
+     * @return {Promise}
+     */
+    start() {
+        if (this._started)
+            return Promise.reject(new Error('Worker is already started'));
+        if (this.constructor.claimStrategies.indexOf(this.claimStrategy) == -1)
+            return Promise.reject(new Error(`Invalid job claim strategy: ${this.claimStrategy}`));
+        let retry = this._config.get('jobs.retry');
+        if (retry && typeof retry.strategy != 'undefined' &&
+            this.constructor.retryStrategies.indexOf(retry.strategy) == -1) {
+            return Promise.reject(new Error(`Invalid job retry strategy: ${retry.strategy}`));
+        }
+
+        debug('Starting');
+        this._started = true;
+        this._stopped = new Promise(resolve => {
+            this._resolveStopped = resolve;
+        });
+
+        return this._jobRepo.restartHanging()
+            .then(() => {
+                return this._pubsub.connect('Worker', 'postgres.main');
+            })
+            .then(subscriber => {
+                this._subscriber = subscriber;
+                return subscriber.subscribe(this.constructor.pendingChannel, this.onPending.bind(this));
+            })
+            .then(() => {
+                let interval = this._config.get('jobs.poll_interval') || 10;
+                this._timer = setInterval(this.poll.bind(this), interval * 1000);
+                let heartbeatInterval = this._config.get('jobs.heartbeat_interval') || 10;
+                this._heartbeatTimer = setInterval(this.heartbeat.bind(this), heartbeatInterval * 1000);
+                this.poll();
+            })
+            .catch(error => {
+                throw new WError(error, 'Worker.start()');
+            });
+    }
+
+    /**
+     * Stop claiming new jobs and wait for the running ones to finish, but no longer than jobs.stop_timeout seconds
+     * (0 to wait forever). Jobs still running after the timeout are left to the reaper or the next start()
+     * @return {Promise}
+     */
+    stop() {
+        if (!this._started)
+            return Promise.resolve();
+
+        debug('Stopping');
+        this._started = false;
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+
+        let timeout = this._config.get('jobs.stop_timeout');
+        if (typeof timeout != 'number')
+            timeout = 60;
+
+        let timer = null;
+        let waiting = [ Promise.all(Array.from(this._jobs)) ];
+        if (timeout > 0) {
+            waiting.push(new Promise(resolve => {
+                timer = setTimeout(
+                    () => {
+                        timer = null;
+                        this._logger.warn(
+                            `Worker stopped after ${timeout} seconds with jobs still running: ` +
+                            Array.from(this._running.keys()).join(', ')
+                        );
+                        resolve();
+                    },
+                    timeout * 1000
+                );
+            }));
+        }
+
+        return Promise.race(waiting)
+            .then(() => {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+                if (this._heartbeatTimer) {
+                    clearInterval(this._heartbeatTimer);
+                    this._heartbeatTimer = null;
+                }
+                if (this._subscriber) {
+                    this._subscriber.done();
+                    this._subscriber = null;
+                }
+                this._resolveStopped();
+            });
+    }
+
+    /**
+     * Stop the worker on app shutdown
+     * @return {Promise}
+     */
+    dispose() {
+        return this.stop();
+    }
+
+    /**
+     * Wait for the worker to stop
+     * @return {Promise}                        Resolves when the worker is stopped
+     */
+    wait() {
+        return this._stopped || Promise.resolve();
+    }
+
+    /**
+     * Configured claim strategy
+     * @type {string}
+     */
+    get claimStrategy() {
+        return this._config.get('jobs.claim_strategy') || 'serializable';
+    }
+
+    /**
+     * Apply parent failures to the waiting jobs, then claim pending jobs according to the claim strategy
+     * @return {Promise}                        Resolves to array of claimed jobs
+     */
+    claim() {
+        return this._jobRepo.resolveDependencies()
+            .then(resolved => {
+                for (let item of resolved)
+                    debug(`Job ${item.id} is ${item.status} because of its parents`);
+
+                if (this.claimStrategy == 'skip_locked')
+                    return this._jobRepo.claimPending(this._config.get('jobs.claim_batch') || 10);
+
+                return this._jobRepo.processPending();
+            });
+    }
+
+    /**
+     * Claim pending jobs and run them
+     */
+    poll() {
+        if (!this._started)
+            return;
+
+        if (this._polling) {
+            this._pollAgain = true;
+            return;
+        }
+
+        this._polling = true;
+        this._pollAgain = false;
+        this.claim()
+            .then(jobs => {
+                for (let job of jobs)
+                    this._track(this.runJob(job));
+
+                if (this.claimStrategy == 'skip_locked' && jobs.length >= (this._config.get('jobs.claim_batch') || 10))
+                    this._pollAgain = true;
+            })
+            .catch(error => {
+                this._logger.error(new WError(error, 'Worker.poll()'));
+            })
+            .then(() => {
+                this._polling = false;
+                if (this._pollAgain)
+                    this.poll();
+            });
+    }
+
+    /**
+     * Run claimed job and save the result
+     * @param {JobModel} job                    The job
+     * @return {Promise}                        Resolves when the job is finished
+     */
+    runJob(job) {
+        debug(`Running job ${job.id} (${job.script}), attempt ${job.attempts}`);
+        let scope = this._app.createScope();
+        scope.registerInstance(job, 'job');
+
+        let handler, context, jobRepo = this._jobRepo;
+        return Promise.resolve()
+            .then(() => {
+                jobRepo = scope.get('repositories.job'); // audited as changed by the job run
+                context = scope.get('jobContext');
+                this._running.set(job.id, context);
+
+                handler = scope.get(`jobs.${job.script}`);
+                return this.getInput(job);
+            })
+            .then(input => {
+                let result = handler.run(input, context);
+                if (result === null || typeof result != 'object' || typeof result.then != 'function')
+                    throw new Error(`Job handler '${job.script}' run() did not return a Promise`);
+                return result;
+            })
+            .then(
+                output => {
+                    return jobRepo.finish(job, 'success', output);
+                },
+                error => {
+                    let output = this.flattenError(error);
+                    if (context && context.cancelled) {
+                        this._logger.info(`Job ${job.id} (${job.script}) was cancelled`);
+                        return jobRepo.finish(job, 'cancelled', output);
+                    }
+
+                    let policy = this.getRetryPolicy(handler, job);
+                    let delay = null;
+                    if (job.attempts < policy.max_attempts) {
+                        try {
+                            delay = this.getRetryDelay(policy, job.attempts);
+                        } catch (retryError) {
+                            this._logger.error(new WError(retryError, `Job ${job.id} (${job.script}) can not be retried`));
+                        }
+                    }
+
+                    if (delay !== null) {
+                        this._logger.warn(
+                            `Job ${job.id} (${job.script}) attempt ${job.attempts} of ${policy.max_attempts} failed, ` +
+                            `retrying in ${Math.round(delay / 1000)} seconds: ${output.errors.join(': ')}`
+                        );
+                        return jobRepo.retry(job, output, moment().add(delay, 'ms'));
+                    }
+
+                    this._logger.error(new WError(error, `Job ${job.id} (${job.script}) failed`));
+                    return jobRepo.finish(job, 'dead', output);
+                }
+            )
+            .catch(error => {
+                this._logger.error(new WError(error, `Could not save the result of job ${job.id}`));
+            })
+            .then(() => {
+                this._running.delete(job.id);
+                this.poll();
+                return scope.dispose();
+            })
+            .catch(error => {
+                this._logger.error(error);
+            });
+    }
+
+    /**
+     * Get input of a job for its handler: outputs of the parents are added when the job has them
+     * @param {JobModel} job                    The job
+     * @return {Promise}                        Resolves to the input
+     */
+    getInput(job) {
+        if (!job.dependsOn || !job.dependsOn.length)
+            return Promise.resolve(job.input);
+        if (job.input === null || typeof job.input != 'object' || Array.isArray(job.input))
+            return Promise.resolve(job.input);
+
+        return this._jobRepo.findParents(job)
+            .then(parents => {
+                return Object.assign({}, job.input, {
+                    parents: parents.map(parent => {
+                        return {
+                            id: parent.id,
+                            status: parent.status,
+                            output: parent.output,
+                        };
+                    }),
+                });
+            });
+    }
+
+    /**
+     * Refresh heartbeat of the running jobs and abort the ones being cancelled
+     * @return {Promise}
+     */
+    heartbeat() {
+        let ids = Array.from(this._running.keys());
+        if (!ids.length)
+            return Promise.resolve();
+
+        debug(`Heartbeat of jobs ${ids.join(', ')}`);
+        return this._jobRepo.heartbeat(ids)
+            .then(cancelling => {
+                for (let id of cancelling) {
+                    let context = this._running.get(id);
+                    if (context && !context.cancelled) {
+                        debug(`Cancelling job ${id}`);
+                        context.cancel();
+                    }
+                }
+            })
+            .catch(error => {
+                this._logger.error(new WError(error, 'Worker.heartbeat()'));
+            });
+    }
+
+    /**
+     * Get retry policy of a job
+     * @param {object} [handler]                Job handler if it was found
+     * @param {JobModel} job                    The job
+     * @return {object}                         Returns { max_attempts, strategy, delay, max_delay, jitter }
+     */
+    getRetryPolicy(handler, job) {
+        let policy = {
+            max_attempts: 1,
+            strategy: 'exponential',
+            delay: 10,
+            max_delay: 3600,
+            jitter: true,
+        };
+
+        for (let source of [ this._config.get('jobs.retry'), handler && handler.retry ]) {
+            if (!source || typeof source != 'object')
+                continue;
+
+            for (let key of Object.keys(policy)) {
+                if (typeof source[key] != 'undefined')
+                    policy[key] = source[key];
+            }
+        }
+
+        if (typeof job.maxAttempts == 'number')
+            policy.max_attempts = job.maxAttempts;
+
+        return policy;
+    }
+
+    /**
+     * Get delay before the next attempt
+     * @param {object} policy                   Retry policy
+     * @param {number} attempt                  Number of the failed attempt (starting with 1)
+     * @return {number}                         Returns number of milliseconds
+     */
+    getRetryDelay(policy, attempt) {
+        let delay;
+        switch (policy.strategy) {
+            case 'fixed':
+                delay = policy.delay;
+                break;
+            case 'linear':
+                delay = policy.delay * attempt;
+                break;
+            case 'exponential':
+                delay = policy.delay * Math.pow(2, attempt - 1);
+                break;
+            default:
+                throw new Error(`Invalid job retry strategy: ${policy.strategy}`);
+        }
+
+        delay = Math.round(Math.min(delay, policy.max_delay) * 1000);
+        if (policy.jitter)
+            delay = this._util.getRandomInt(Math.floor(delay / 2), delay);
+
+        return delay;
+    }
+
+    /**
+     * Convert error to job output. Only the messages of the chain are kept: info of the errors may hold internal
+     * details (e.g. the query and its parameters of a Postgres error) and the output is shown by the API
+     * @param {Error} error                     The error
+     * @return {object}                         Returns JSON-serializable object
+     */
+    flattenError(error) {
+        return {
+            errors: this._error.flatten(error).map(item => {
+                return item.message;
+            }),
+        };
+    }
+
+    /**
+     * New pending job notification handler
+     * @param {*} message                       The message
+     */
+    onPending(message) {
+        debug(`Pending job notification: ${message && message.id}`);
+        this.poll();
+    }
+
+    /**
+     * Keep track of running job
+     * @param {Promise} promise                 Job promise
+     */
+    _track(promise) {
+        this._jobs.add(promise);
+        promise.then(() => {
+            this._jobs.delete(promise);
+        });
+    }
+}
+
+module.exports = Worker;
@@ -0,0 +1,212 @@
+/**
+ * Job workflow service
+ * @module arpen/services/workflow
+ */
+const moment = require('moment-timezone');
+const WError = require('verror').WError;
+
+/**
+ * Job workflow<br>
+ * <pre>
+ * Creates a graph of jobs depending on each other in one transaction. The steps are described as:
+ * {
+ *      fetch: {                                // step name
+ *          script: 'fetch',                    // job script (required)
+ *          input: {},                          // job input (object, parent outputs are added to it as 'parents')
+ *          queue: null,                        // job queue
+ *          target: null,                       // job target instance
+ *          maxAttempts: null,                  // job max_attempts
+ *          priority: 0,                        // job priority
+ *          scheduleStart: null,                // Moment.js object of job schedule_start
+ *          scheduleEnd: null,                  // Moment.js object of job schedule_end
+ *          dependsOn: [],                      // names of the parent steps or IDs of existing jobs
+ *          onParentFailure: 'cancel',          // 'cancel', 'skip' or 'continue' (see JobModel)
+ *      },
+ *      parse: {
+ *          script: 'parse',
+ *          dependsOn: [ 'fetch' ],
+ *      },
+ * }
+ * </pre>
+ */
+class Workflow {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {Postgres} postgres               Postgres service
+     */
+    constructor(app, config, postgres) {
+        this._app = app;
+        this._config = config;
+        this._postgres = postgres;
+    }
+
+    /**
+     * Service name is 'workflow'
+     * @type {string}
+     */
+    static get provides() {
+        return 'workflow';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'postgres' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Create the jobs of a workflow
+     * @param {object} steps                    Workflow steps
+     * @param {PostgresClient} [reuseClient]    Postgres client to use (will create a new one otherwise)
+     * @return {Promise}                        Resolves to object mapping step names to job IDs
+     */
+    create(steps, reuseClient) {
+        let order;
+        try {
+            order = this.sort(steps);
+        } catch (error) {
+            return Promise.reject(new WError(error, 'Workflow.create()'));
+        }
+
+        return Promise.resolve()
+            .then(() => {
+                if (reuseClient)
+                    return reuseClient;
+
+                return this._postgres.connect();
+            })
+            .then(client => {
+                return client.transaction({ name: 'Workflow.create', isolation: 'read committed' }, rollback => {
+                        let ids = {}, now = moment();
+                        return order.reduce(
+                                (prev, name) => {
+                                    return prev.then(() => {
+                                        let step = steps[name];
+                                        let job = this._app.get('models.job');
+                                        job.status = 'pending';
+                                        job.queue = step.queue || null;
+                                        job.script = step.script;
+                                        job.input = step.input || {};
+                                        job.output = {};
+                                        job.target = step.target || null;
+                                        job.scheduleStart = step.scheduleStart || null;
+                                        job.scheduleEnd = step.scheduleEnd || null;
+                                        job.createdAt = now.clone();
+                                        job.createdBy = this._config.instance;
+                                        job.attempts = 0;
+                                        job.maxAttempts = typeof step.maxAttempts == 'number' ? step.maxAttempts : null;
+                                        job.cancelling = false;
+                                        job.priority = step.priority || 0;
+                                        job.dependsOn = (step.dependsOn || []).map(parent => {
+                                            return typeof parent == 'string' ? ids[parent] : parent;
+                                        });
+                                        job.onParentFailure = step.onParentFailure || 'cancel';
+
+                                        return this._app.get('repositories.job').save(job, client)
+                                            .then(id => {
+                                                ids[name] = id;
+                                            });
+                                    });
+                                },
+                                Promise.resolve()
+                            )
+                            .then(() => {
+                                return ids;
+                            });
+                    })
+                    .then(
+                        value => {
+                            if (!reuseClient)
+                                client.done();
+                            return value;
+                        },
+                        error => {
+                            if (!reuseClient)
+                                client.done();
+                            throw error;
+                        }
+                    );
+            })
+            .catch(error => {
+                throw new WError(error, 'Workflow.create()');
+            });
+    }
+
+    /**
+     * Validate the steps and sort them so that parents come first
+     * @param {object} steps                    Workflow steps
+     * @return {string[]}                       Returns step names
+     * @throw {Error}                           When the steps are invalid or have a cycle
+     */
+    sort(steps) {
+        if (!steps || typeof steps != 'object')
+            throw new Error('Workflow steps are not an object');
+
+        let names = Object.keys(steps);
+        if (!names.length)
+            throw new Error('Workflow has no steps');
+
+        let policies = this._app.get('models.job').constructor.parentFailurePolicies;
+        for (let name of names) {
+            let step = steps[name];
+            if (!step || typeof step != 'object')
+                throw new Error(`Step '${name}' is not an object`);
+            if (typeof step.script != 'string' || !step.script.length)
+                throw new Error(`Step '${name}' has no script`);
+            if (typeof step.input != 'undefined' && (step.input === null || typeof step.input != 'object' ||
+                Array.isArray(step.input)))
+                throw new Error(`Input of step '${name}' is not an object`);
+            if (typeof step.priority != 'undefined' && !Number.isInteger(step.priority))
+                throw new Error(`Priority of step '${name}' is not an integer`);
+            if (typeof step.onParentFailure != 'undefined' && policies.indexOf(step.onParentFailure) == -1)
+                throw new Error(`Invalid onParentFailure of step '${name}': ${step.onParentFailure}`);
+            if (typeof step.dependsOn != 'undefined' && !Array.isArray(step.dependsOn))
+                throw new Error(`dependsOn of step '${name}' is not an array`);
+
+            for (let parent of step.dependsOn || []) {
+                if (typeof parent == 'string') {
+                    if (names.indexOf(parent) == -1)
+                        throw new Error(`Step '${name}' depends on unknown step '${parent}'`);
+                } else if (typeof parent != 'number' || !Number.isInteger(parent)) {
+                    throw new Error(`Step '${name}' has invalid dependency: ${parent}`);
+                }
+            }
+        }
+
+        let order = [], visiting = new Set(), visited = new Set();
+        let visit = (name, path) => {
+            if (visited.has(name))
+                return;
+            if (visiting.has(name))
+                throw new Error(`Workflow has a cycle: ${path.concat([ name ]).join(' -> ')}`);
+
+            visiting.add(name);
+            for (let parent of steps[name].dependsOn || []) {
+                if (typeof parent == 'string')
+                    visit(parent, path.concat([ name ]));
+            }
+            visiting.delete(name);
+            visited.add(name);
+            order.push(name);
+        };
+
+        for (let name of names)
+            visit(name, []);
+
+        return order;
+    }
+}
+
+module.exports = Workflow;